@@ -1,7 +1,27 @@
 import "dotenv/config";
 import express from "express";
 import { InteractionType, verifyKeyMiddleware } from "discord-interactions";
-import { COMMAND_HANDLERS, MODAL_HANDLERS } from "./config/command_mapping.js";
+import {
+  COMMAND_HANDLERS,
+  COMMAND_PERMISSIONS,
+  MODAL_HANDLERS,
+  COMPONENT_HANDLERS,
+  AUTOCOMPLETE_HANDLERS,
+} from "./config/command_mapping.js";
+import pubgApi from "./models/pubg-api.js";
+import telemetry from "./models/telemetry.js";
+import matchTracker from "./models/match-tracker.js";
+import playerRefresher from "./models/player-refresher.js";
+import { hasPermission, sendMissingPermission } from "./utils/interaction.js";
+import {
+  getFocusedOption,
+  sendAutocompleteChoices,
+} from "./utils/autocomplete.js";
+import {
+  addGuildMember,
+  flushStorage,
+  runMigrations,
+} from "./utils/storage.js";
 
 // Create an express app
 const app = express();
@@ -25,6 +45,12 @@ app.get("/health", (req, res) => {
     status: "healthy",
     service: "PUBG Discord Bot",
     version: "1.0.0",
+    cache: {
+      ...pubgApi.getCacheStats(),
+      telemetry: telemetry.getCacheStats(),
+    },
+    tracker: matchTracker.getStatus(),
+    refresher: playerRefresher.getStatus(),
     timestamp: new Date().toISOString(),
   });
 });
@@ -38,7 +64,13 @@ app.post(
   verifyKeyMiddleware(process.env.PUBLIC_KEY),
   async function (req, res) {
     // Interaction id, type and data
-    const { id, type, data } = req.body;
+    const { id, type, data, guild_id } = req.body;
+
+    // Registered users are linked to every guild they use the bot in
+    const userId = req.body.member?.user?.id;
+    if (guild_id && userId) {
+      addGuildMember(userId, guild_id);
+    }
 
     /**
      * Handle verification requests
@@ -57,6 +89,12 @@ app.post(
       // Route to appropriate command handler using mapping
       const handler = COMMAND_HANDLERS[name];
       if (handler) {
+        // default_member_permissions can be overridden by server admins,
+        // so required permissions are enforced here as well
+        const permission = COMMAND_PERMISSIONS[name];
+        if (permission && !hasPermission(req, permission)) {
+          return sendMissingPermission(req, res, permission);
+        }
         return handler(req, res);
       }
 
@@ -64,11 +102,29 @@ app.post(
       return res.status(400).json({ error: "unknown command" });
     }
 
+    /**
+     * Handle autocomplete requests while the user types an option
+     */
+    if (type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+      const focused = getFocusedOption(data.options);
+
+      // Route to the focused option's handler using mapping
+      const handler = AUTOCOMPLETE_HANDLERS[data.name]?.[focused?.name];
+      if (handler) {
+        return handler(req, res);
+      }
+
+      // Discord shows an error for failed requests, so suggest nothing instead
+      console.error(`unknown autocomplete: ${data.name} ${focused?.name}`);
+      return sendAutocompleteChoices(res, []);
+    }
+
     /**
      * Handle Modal Submissions
      */
     if (type === InteractionType.MODAL_SUBMIT) {
-      const customId = data.custom_id;
+      // Custom IDs may carry state after a colon (e.g. pubg_register_modal:steam)
+      const [customId] = data.custom_id.split(":");
 
       // Route to appropriate modal handler using mapping
       const handler = MODAL_HANDLERS[customId];
@@ -77,12 +133,48 @@ app.post(
       }
     }
 
+    /**
+     * Handle message components (buttons, select menus)
+     */
+    if (type === InteractionType.MESSAGE_COMPONENT) {
+      // Custom IDs carry state after a colon (e.g. sting_page:<user>:<page>...)
+      const [customId] = data.custom_id.split(":");
+
+      // Route to appropriate component handler using mapping
+      const handler = COMPONENT_HANDLERS[customId];
+      if (handler) {
+        return handler(req, res);
+      }
+
+      console.error(`unknown component: ${customId}`);
+      return res.status(400).json({ error: "unknown component" });
+    }
+
     console.error("unknown interaction type", type);
     return res.status(400).json({ error: "unknown interaction type" });
   }
 );
 
+// Upgrade stored data before handling any interactions
+await runMigrations();
+
 app.listen(PORT, () => {
   console.log("Listening on port", PORT);
   console.log("PUBG Discord Bot is ready! 🎮");
+
+  // Announce tracked players' new matches in the background
+  matchTracker.start();
+  // Keep stored player names and clans current
+  playerRefresher.start();
 });
+
+// Make sure pending storage writes reach disk before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, async () => {
+    console.log(`👋 Received ${signal}, flushing storage...`);
+    matchTracker.stop();
+    playerRefresher.stop();
+    await flushStorage();
+    process.exit(0);
+  });
+}
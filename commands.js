@@ -1,47 +1,23 @@
 import 'dotenv/config';
-import { InstallGlobalCommands } from "./utils/helper.js";
+import { InstallGlobalCommands, InstallGuildCommands } from "./utils/helper.js";
+import { COMMAND_DEFINITIONS } from "./config/command_mapping.js";
 
-// PUBG Registration command
-const REGISTER_COMMAND = {
-  name: "register",
-  description: "Register your PUBG account information",
-  type: 1,
-  integration_types: [0],
-  contexts: [0],
-};
+// Commands are declared next to their handlers and collected in
+// config/command_mapping.js
 
-// PUBG Info command
-const INFO_COMMAND = {
-  name: "info",
-  description: "Display your PUBG profile information",
-  type: 1,
-  integration_types: [0],
-  contexts: [0],
-};
+// Set DEV_GUILD_ID to register to a single guild while developing: guild
+// commands update instantly, global commands can take up to an hour
+const guildId = process.env.DEV_GUILD_ID;
 
-// PUBG Stats command
-const STING_COMMAND = {
-  name: "sting",
-  description: "Display statistics from your 3 most recent matches",
-  type: 1,
-  integration_types: [0],
-  contexts: [0],
-};
+console.log(
+  `📝 Registering commands ${guildId ? `to guild ${guildId}` : "globally"}...`
+);
+console.log("Commands:", COMMAND_DEFINITIONS.map((c) => c.name).join(", "));
 
-// Keep test command for debugging
-const TEST_COMMAND = {
-  name: "test",
-  description: "Basic test command",
-  type: 1,
-  integration_types: [0, 1],
-  contexts: [0, 1, 2],
-};
+const install = guildId
+  ? InstallGuildCommands(process.env.APP_ID, guildId, COMMAND_DEFINITIONS)
+  : InstallGlobalCommands(process.env.APP_ID, COMMAND_DEFINITIONS);
 
-const ALL_COMMANDS = [REGISTER_COMMAND, INFO_COMMAND, STING_COMMAND];
-
-console.log("📝 Registering commands...");
-console.log("Commands:", ALL_COMMANDS.map((c) => c.name).join(", "));
-
-InstallGlobalCommands(process.env.APP_ID, ALL_COMMANDS)
+install
   .then(() => console.log("✅ Commands registered successfully!"))
   .catch((error) => console.error("❌ Error registering commands:", error));
@@ -1,20 +1,142 @@
+// command_mapping.js - Command registry
+// Every command module declares itself as:
+//   {
+//     definition,   // Discord application command (name, description, options...)
+//     handler,      // (req, res) => slash command handler
+//     modals,       // { custom_id prefix: handler } for modal submissions
+//     components,   // { custom_id prefix: handler } for buttons/select menus
+//     autocomplete, // { option name: handler } for options with autocomplete
+//     permissions,  // Required member permission (PERMISSIONS bit), optional
+//   }
+// Both command registration (commands.js) and routing (app.js) use the maps
+// built here, so a command only has to be added to COMMANDS.
 import {
-  handleRegisterCommand,
-  handleRegisterModalSubmit,
-  handleInfoCommand,
-  handleStatsCommand,
+  registerCommand,
+  infoCommand,
+  lookupCommand,
+  stingCommand,
+  seasonCommand,
+  rankedCommand,
+  lifetimeCommand,
+  leaderboardCommand,
+  compareCommand,
+  clanCommand,
+  matchCommand,
+  matchDetailCommand,
+  trackCommand,
+  adminCommand,
 } from "../handlers/index.js";
+import { getLocalizations } from "../utils/i18n.js";
+
+// All commands, in registration order
+const COMMANDS = [
+  registerCommand,
+  infoCommand,
+  lookupCommand,
+  stingCommand,
+  seasonCommand,
+  rankedCommand,
+  lifetimeCommand,
+  leaderboardCommand,
+  compareCommand,
+  clanCommand,
+  matchCommand,
+  matchDetailCommand,
+  trackCommand,
+  adminCommand,
+];
+
+/**
+ * Merge per-command handler maps, refusing duplicate keys so two commands
+ * can't silently claim the same name or custom_id prefix
+ * @param {string} kind - What is being mapped (for the error message)
+ * @param {Array<[string, Function]>} entries
+ * @returns {object}
+ */
+function buildHandlerMap(kind, entries) {
+  return entries.reduce((map, [key, handler]) => {
+    if (map[key]) {
+      throw new Error(`Duplicate ${kind} handler: ${key}`);
+    }
+    map[key] = handler;
+    return map;
+  }, {});
+}
+
+/**
+ * Add translated descriptions to a command or option and its sub-options
+ * Translations are looked up as "command.<name>.<option>..." in the locale
+ * files (config/locales).
+ * @param {object} option - Command definition or option
+ * @param {string} key - Locale key of the option
+ * @returns {object}
+ */
+function localizeDescriptions(option, key) {
+  const localizations = getLocalizations(key);
+
+  return {
+    ...option,
+    ...(localizations ? { description_localizations: localizations } : {}),
+    ...(option.options
+      ? {
+          options: option.options.map((child) =>
+            localizeDescriptions(child, `${key}.${child.name}`)
+          ),
+        }
+      : {}),
+  };
+}
+
+// Discord command definitions, as registered by commands.js
+// Commands with `permissions` are hidden from members without them
+const COMMAND_DEFINITIONS = COMMANDS.map(({ definition, permissions }) =>
+  localizeDescriptions(
+    permissions
+      ? { ...definition, default_member_permissions: String(permissions) }
+      : definition,
+    `command.${definition.name}`
+  )
+);
 
 // Command handlers mapping
-const COMMAND_HANDLERS = {
-  register: handleRegisterCommand,
-  info: handleInfoCommand,
-  sting: handleStatsCommand,
-};
+const COMMAND_HANDLERS = buildHandlerMap(
+  "command",
+  COMMANDS.map(({ definition, handler }) => [definition.name, handler])
+);
 
-// Modal handlers mapping
-const MODAL_HANDLERS = {
-  pubg_register_modal: handleRegisterModalSubmit,
-};
+// Required permissions per command name
+const COMMAND_PERMISSIONS = Object.fromEntries(
+  COMMANDS.filter(({ permissions }) => permissions).map(
+    ({ definition, permissions }) => [definition.name, permissions]
+  )
+);
+
+// Modal handlers mapping, keyed by the custom_id prefix before the first colon
+const MODAL_HANDLERS = buildHandlerMap(
+  "modal",
+  COMMANDS.flatMap(({ modals = {} }) => Object.entries(modals))
+);
+
+// Message component (button/select menu) handlers mapping, keyed by the
+// custom_id prefix before the first colon
+const COMPONENT_HANDLERS = buildHandlerMap(
+  "component",
+  COMMANDS.flatMap(({ components = {} }) => Object.entries(components))
+);
 
-export { COMMAND_HANDLERS, MODAL_HANDLERS };
+// Autocomplete handlers per command name, keyed by the focused option's name
+const AUTOCOMPLETE_HANDLERS = Object.fromEntries(
+  COMMANDS.filter(({ autocomplete }) => autocomplete).map(
+    ({ definition, autocomplete }) => [definition.name, autocomplete]
+  )
+);
+
+export {
+  COMMANDS,
+  COMMAND_DEFINITIONS,
+  COMMAND_HANDLERS,
+  COMMAND_PERMISSIONS,
+  MODAL_HANDLERS,
+  COMPONENT_HANDLERS,
+  AUTOCOMPLETE_HANDLERS,
+};
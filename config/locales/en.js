@@ -0,0 +1,412 @@
+// English strings (the default language)
+// Keys are shared by every locale; placeholders like {name} are filled in by
+// t() in utils/i18n.js. Missing translations fall back to these strings.
+const EN = {
+  // Shared
+  "common.footer": "PUBG Discord Bot",
+  "common.error": "Error",
+  "common.unknown": "Unknown",
+  "common.noClan": "No clan",
+  "common.notRegistered.name": "⚠️ Not Registered",
+  "common.notRegistered.value":
+    "You need to register first! Use `/register` to set up your profile.",
+  "common.noRecentMatches.name": "⚠️ No Recent Matches",
+  "common.noRecentMatches.value":
+    "No recent match data found. Play some games and try again!",
+  "common.playerName": "🎮 Player Name",
+  "common.playerId": "🆔 Player ID",
+  "common.platform": "🖥️ Platform",
+  "common.season": "Season {number}",
+  "common.seasonId": "Season ID: {seasonId}",
+  "common.more": "...and {count} more",
+  "common.noGamesPlayed": "⚠️ No Games Played",
+  "common.invalidMatchId.name": "⚠️ Invalid Match ID",
+  "common.invalidMatchId.value":
+    "That is not a match ID. Match IDs look like `0b0a3f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b` - pick one from the suggestions or leave `id` empty for your last match.",
+  "common.recentMatchesFailed": "Could not retrieve your recent matches",
+  "common.matchFailed": "Could not retrieve match `{matchId}`",
+
+  // Failed PUBG API requests (see utils/errors.js)
+  "error.notFound.player":
+    "Player not found. Check the spelling and platform - names are case-sensitive.",
+  "error.notFound.match":
+    "Match not found. PUBG only keeps matches for 14 days.",
+  "error.notFound.clan": "Clan not found.",
+  "error.notFound.season": "Season not found.",
+  "error.notFound.stats": "No stats found for this player.",
+  "error.notFound.telemetry":
+    "Telemetry is not available for this match. PUBG only keeps it for 14 days.",
+  "error.auth":
+    "The bot's PUBG API key is invalid or missing. Please contact the bot administrator.",
+  "error.rateLimited":
+    "The PUBG API rate limit was reached. Please try again in a minute.",
+  "error.rateLimited.retryAfter":
+    "The PUBG API rate limit was reached. Please try again in {seconds}s.",
+  "error.upstream":
+    "The PUBG API is unavailable right now. Please try again later.",
+  "error.timeout": "The PUBG API took too long to respond. Please try again.",
+  "error.unknown": "Request failed: {error}",
+
+  // Autocomplete suggestions
+  "autocomplete.currentSeason": "{name} (current)",
+
+  // /register
+  "register.modalTitle": "Register PUBG Player ({platform})",
+  "register.nameLabel": "PUBG Player Name",
+  "register.namePlaceholder": "Enter your exact PUBG in-game name",
+  "register.failed": "Registration Failed",
+  "register.lookupFailed": "Could not look up **{name}** on {platform}.",
+  "register.notFound.detail":
+    "No PUBG player found with name **{name}** on {platform} platform.",
+  "register.success.title": "✅ Registration Successful!",
+  "register.success.description":
+    "Successfully registered PUBG player **{name}**!",
+  "register.inClan.name": "👥 Clan Status",
+  "register.inClan.value": "Part of a clan! Use `/info` to see details.",
+  "register.noClan.name": "🏆 Clan Status",
+  "register.nextStep.name": "💡 Next Step",
+  "register.nextStep.value": "Use `/info` command to view your full profile!",
+
+  // /info
+  "info.title": "🎮 PUBG Profile",
+  "info.description": "Profile for <@{userId}>",
+  "info.failed": "Failed to Fetch Profile",
+  "info.failedDescription": "Could not retrieve the profile of **{name}**",
+  "info.status.name": "📊 Status",
+  "info.status.value":
+    "Not registered yet. Use `/register` to set up your profile!",
+  "info.clanName": "👥 Clan Name",
+  "info.clanId": "🆔 Clan ID",
+  "info.clanLevel.name": "⭐ Clan Level",
+  "info.clanLevel.value": "Level {level}",
+  "info.members.name": "👥 Members",
+  "info.members.value": "{count} members",
+  "info.clan": "🏆 Clan",
+  "info.previousNames": "📜 Previously Known As",
+
+  // /lookup
+  "lookup.title": "🔎 PUBG Player Lookup",
+  "lookup.description": "Profile and recent matches of **{name}**",
+  "lookup.failed": "Lookup Failed",
+  "lookup.clan": "{name} [{tag}] • Level {level} • {count} members",
+  "lookup.noRecentMatches": "No matches in the last 14 days.",
+  "lookup.summary.name": "📈 Last {count} Matches",
+  "lookup.summary.value":
+    "💀 **{kills}** kills • ⚔️ K/D **{kd}** • 💥 **{damage}** avg damage\n🍗 **{wins}** wins • 📊 #{placement} avg placement",
+  "lookup.matches": "🎮 Recent Matches",
+  "lookup.match":
+    "#{rank} • {map} • {mode} • 💀 {kills} • 💥 {damage} • 🕐 {date}",
+  "lookup.footer": "Player ID: {playerId} • Not registered, nothing is saved",
+
+  // /clan
+  "clan.title": "👥 PUBG Clan",
+  "clan.failed": "Failed to Load Clan",
+  "clan.failedDescription": "Could not retrieve clan `{clanId}`",
+  "clan.membersFailedDescription":
+    "Could not retrieve recent matches of **{name}** members",
+  "clan.notRegistered":
+    "You need to register first! Use `/register` to set up your profile, or pass a clan `id`.",
+  "clan.noClan.name": "🏆 No Clan",
+  "clan.noClan.value":
+    "**{name}** is not in a clan. Pass a clan `id` to look up another clan.",
+  "clan.invalidId.name": "⚠️ Invalid Clan ID",
+  "clan.invalidId.value":
+    "That is not a clan ID. Clan IDs look like `clan.0b0a3f3e1c2d4e5f8a9b0c1d2e3f4a5b` - `/info` shows yours.",
+  "clan.level": "⭐ Level",
+  "clan.members": "👥 Members",
+  "clan.inServer": "🏠 In This Server",
+  "clan.serverMembers": "🎮 Server Members",
+  "clan.serverMembersCount": "🎮 Server Members ({count})",
+  "clan.noServerMembers":
+    "No registered members of this server are in this clan.",
+  "clan.member":
+    "<@{userId}> • **{name}** • 💀 {kills} • 💥 {damage} avg • 🍗 {wins}",
+  "clan.memberNoMatches": "<@{userId}> • **{name}** • no recent matches",
+  "clan.more": "...and {count} more",
+  "clan.recentPerformance": "📈 Recent Performance",
+  "clan.total":
+    "**{matches}** matches • 💀 **{kills}** kills • ⚔️ K/D **{kd}**\n💥 **{damage}** avg damage • 🍗 **{wins}** wins",
+  "clan.totalPlacement": " • 📊 #{placement} avg placement",
+  "clan.noRecentMatches": "No recent matches",
+  "clan.footer": "Last {count} matches per member | Clan ID: {clanId}",
+
+  // /sting
+  "stats.title": "📊 PUBG Match Statistics",
+  "stats.failed": "Failed to Fetch Statistics",
+  "stats.failedDescription": "Could not retrieve match data for **{name}**",
+  "stats.description": "Statistics for <@{userId}>",
+  "stats.playerDescription": "Statistics for **{name}**",
+  "stats.recentPerformance": "Recent performance for **{name}**",
+  "stats.noFilteredMatches":
+    "No recent **{filter}** matches found. Play some games and try again!",
+  "stats.onMap": "on {map}",
+  "stats.ownerOnly":
+    "Only <@{userId}> can page through these results. Use `/sting` to see your own.",
+  "stats.noLongerRegistered":
+    "You are no longer registered. Use `/register` to set up your profile.",
+  "stats.userNoLongerRegistered": "<@{userId}> is no longer registered.",
+  "stats.prev": "◀ Prev",
+  "stats.next": "Next ▶",
+  "stats.detailsPlaceholder": "🔍 Show match details",
+  "stats.option.label": "Match {number} - {map} ({mode})",
+  "stats.option.description": "Rank #{rank} • {kills} kills • {damage} damage",
+  "stats.match": "🎮 Match {number} - {mode}",
+  "stats.rank": "Rank #{rank}",
+  "stats.rankUnknown": "Rank Unknown",
+  "stats.compact":
+    "💥 {damage} damage • 💊 {revives} revives • 💀 {kills} kills",
+  "stats.damage": "💥 Damage",
+  "stats.revives": "💊 Revives",
+  "stats.kills": "💀 Kills",
+  "stats.total": "📈 Total Statistics ({count} Matches)",
+  "stats.totalDamage": "💥 Total Damage",
+  "stats.totalRevives": "💊 Total Revives",
+  "stats.totalKills": "💀 Total Kills",
+  "stats.footer.page": "Page {page} • ",
+  "stats.footer.recent":
+    "Statistics based on {count} most recent {filter}matches",
+  "stats.footer.older": "Statistics based on {count} older {filter}matches",
+  "stats.matchFailed": "Failed to Fetch Match",
+  "stats.matchFailedDescription":
+    "Could not retrieve match `{matchId}` for **{name}**",
+  "stats.matchDescription": "Match details for **{name}** • 🕐 {date}",
+  "stats.detail.rank": "🏅 Rank",
+  "stats.detail.headshots": "🎯 Headshots",
+  "stats.detail.assists": "🤝 Assists",
+  "stats.detail.knocks": "🩸 Knocks",
+  "stats.detail.heals": "🩹 Heals",
+  "stats.detail.survived": "⏱️ Survived",
+  "stats.detail.walked": "🚶 Walked",
+  "stats.detail.drove": "🚗 Drove",
+  "stats.detail.footer":
+    "Match ID: {matchId} • /match and /matchdetail show more",
+
+  // Deferred responses and permission checks (see utils/interaction.js)
+  "interaction.queued.title": "⏳ Waiting for PUBG API",
+  "interaction.queued.description":
+    "Your request is queued behind **{count}** other request(s) to stay within the PUBG API rate limit.\nEstimated wait: ~{seconds}s",
+  "interaction.failed.title": "Something Went Wrong",
+  "interaction.failed.description":
+    "An unexpected error occurred while processing your request. Please try again later.",
+  "interaction.missingPermission.title": "🔒 Missing Permission",
+  "interaction.missingPermission.description":
+    "You need the **{permission}** permission to use this command.",
+  "permission.administrator": "Administrator",
+  "permission.manageGuild": "Manage Server",
+
+  // /season
+  "season.title": "📅 PUBG Season Statistics",
+  "season.seasonTitle": "📅 PUBG {season} Statistics",
+  "season.description": "Statistics for <@{userId}>",
+  "season.playerDescription": "Statistics for **{name}**",
+  "season.performance": "Season performance for **{name}**",
+  "season.failed": "Failed to Fetch Season Statistics",
+  "season.failedDescription": "Could not retrieve season data for **{name}**",
+  "season.noGames": "No games played in {season} yet. Drop in and try again!",
+  "season.noModeGames":
+    "No **{mode}** games played in {season} yet. Drop in and try again!",
+  "season.mode":
+    "🔁 Rounds **{rounds}** • 🍗 Wins **{wins}** • 🔝 Top 10s **{top10s}**\n💀 K/D **{kd}** • 💥 Avg Damage **{damage}** • 🎯 Headshots **{headshots}**",
+
+  // /ranked
+  "ranked.title": "🏅 PUBG Ranked Statistics",
+  "ranked.seasonTitle": "🏅 PUBG {season} Ranked",
+  "ranked.description": "Statistics for <@{userId}>",
+  "ranked.playerDescription": "Ranked statistics for **{name}**",
+  "ranked.progress": "Competitive progress for **{name}**",
+  "ranked.failed": "Failed to Fetch Ranked Statistics",
+  "ranked.failedDescription": "Could not retrieve ranked data for **{name}**",
+  "ranked.unranked": "⚠️ Unranked",
+  "ranked.noGames":
+    "No ranked games played in {season} yet. Finish your placement matches and try again!",
+  "ranked.noModeGames":
+    "No **{mode}** ranked games played in {season} yet. Finish your placement matches and try again!",
+  "ranked.tier": "{tier} • **{points} RP**\nBest: {bestTier} ({bestPoints} RP)",
+  "ranked.wins": "🍗 Wins",
+  "ranked.kda": "💀 KDA",
+  "ranked.avgRank": "📈 Avg Rank",
+
+  // /lifetime
+  "lifetime.title": "🏆 PUBG Lifetime Statistics",
+  "lifetime.description": "Statistics for <@{userId}>",
+  "lifetime.playerDescription": "Statistics for **{name}**",
+  "lifetime.failed": "Failed to Fetch Lifetime Statistics",
+  "lifetime.failedDescription":
+    "Could not retrieve lifetime data for **{name}**",
+  "lifetime.noGames":
+    "No matches on record yet. Play some games and try again!",
+  "lifetime.mode":
+    "🔁 {rounds} rounds • 🍗 {wins} wins • 💀 {kills} kills • 💥 {damage} damage",
+  "lifetime.winRate": "🍗 Win %",
+  "lifetime.kd": "💀 K/D",
+  "lifetime.damagePerRound": "💥 Damage/Round",
+  "lifetime.summary":
+    "All-time performance for **{name}**\n\n📈 **Total (All Modes)**\n🔁 **{rounds}** rounds • 🍗 **{wins}** wins ({winRate}) • 💀 **{kills}** kills\nK/D **{kd}** • Damage/Round **{damage}**",
+  "lifetime.footer": "Lifetime statistics across {count} game modes",
+
+  // /leaderboard
+  "leaderboard.title": "🏆 Guild Leaderboard",
+  "leaderboard.metricTitle": "🏆 Guild Leaderboard - {metric}",
+  "leaderboard.metric.kills": "Kills",
+  "leaderboard.metric.damage": "Damage",
+  "leaderboard.metric.wins": "Wins",
+  "leaderboard.metric.placement": "Avg Placement",
+  "leaderboard.metric.kd": "K/D",
+  "leaderboard.recentOnly":
+    "**{metric}** is only available for recent matches. Try `period: Recent matches`.",
+  "leaderboard.noMembers":
+    "No registered members in this server yet. Use `/register` to join the leaderboard!",
+  "leaderboard.failed": "Failed to Build Leaderboard",
+  "leaderboard.failedDescription":
+    "Could not retrieve stats for this server's members",
+  "leaderboard.recentPeriod": "Last {count} matches per player",
+  "leaderboard.noGames": "No members have games for this period yet.",
+  "leaderboard.footer": "{period} • {ranked} of {total} members ranked",
+
+  // /compare
+  "compare.title": "⚔️ Player Comparison",
+  "compare.samePlayer":
+    "Pick two different players to compare. Use `against` to choose someone other than yourself.",
+  "compare.otherNotRegistered":
+    "<@{userId}> is not registered yet. They can use `/register` to set up their profile!",
+  "compare.failed": "Failed to Compare Players",
+  "compare.failedDescription": "Could not retrieve stats for **{name}**",
+  "compare.stat.matches": "🎮 Matches",
+  "compare.stat.roundsPlayed": "🔁 Rounds",
+  "compare.stat.kills": "💀 Kills",
+  "compare.stat.avgDamage": "💥 Avg Damage",
+  "compare.stat.wins": "🍗 Wins",
+  "compare.stat.winRate": "📊 Win %",
+  "compare.stat.avgPlacement": "📈 Avg Placement",
+  "compare.stat.kd": "⚔️ K/D",
+  "compare.stat.headshotRate": "🎯 Headshots",
+  "compare.allModes": "All modes",
+  "compare.recentPeriod": "Last {count} matches",
+  "compare.verdict": "📣 Verdict",
+  "compare.even": "🤝 Dead even at {left}-{right}!",
+  "compare.carrying": "🏆 **{name}** is carrying, {high}-{low}",
+
+  // /match
+  "match.title": "🎮 Match Scoreboard",
+  "match.notRegistered":
+    "You need to register first! Use `/register` to set up your profile, or pass a match `id`.",
+  "match.failed": "Failed to Load Match",
+  "match.description":
+    "📍 **{map}** • 🎮 {mode} • ⏱️ {duration} • 🕐 {date}\n👥 {count} teams",
+  "match.team": "{position} Team{dinner}{yourTeam} - 💀 {kills} • 💥 {damage}",
+  "match.yourTeam": " ⭐ Your Team",
+  "match.footer":
+    "💀 Kills • 💥 Damage • 🩸 DBNOs • ⏱️ Survived | Match ID: {matchId}",
+
+  // /matchdetail
+  "matchDetail.title": "🔫 Match Details",
+  "matchDetail.playerTitle": "🔫 Match Details - {name}",
+  "matchDetail.failed": "Failed to Load Match Details",
+  "matchDetail.notInMatch": "**{name}** did not play in match `{matchId}`",
+  "matchDetail.notInMatchError": "Player not found in match",
+  "matchDetail.telemetryFailed":
+    "Could not retrieve telemetry for match `{matchId}`",
+  "matchDetail.description": "📍 **{map}** • 🎮 {mode} • ⏱️ {duration}",
+  "matchDetail.none": "None",
+  "matchDetail.kills": "💀 Kills ({count})",
+  "matchDetail.knocks": "🩸 Knocks ({count})",
+  "matchDetail.weapons": "🔫 Weapons",
+  "matchDetail.noDamage": "No damage dealt",
+  "matchDetail.damageTaken": "🩹 Damage Taken",
+  "matchDetail.damageTakenValue": "**{damage}** total\n{attackers}",
+  "matchDetail.combat": "📊 Combat",
+  "matchDetail.combatValue":
+    "💥 Damage: **{damage}**\n📏 Longest Kill: **{longestKill}**",
+  "matchDetail.killedBy": "☠️ Killed By",
+  "matchDetail.environment": "☁️ Environment",
+  "matchDetail.death":
+    "{killer} • {weapon} • {distance}m{headshot} at `{time}`",
+  "matchDetail.survived": "🍗 Survived until the end!",
+  "matchDetail.footer": "Times are since match start | Match ID: {matchId}",
+
+  // /track
+  "track.title": "🛰️ Match Tracker",
+  "track.channelPermission":
+    "You need the **{permission}** permission to change the tracking channel.",
+  "track.channelSet":
+    "New matches of tracked members will be announced in <#{channelId}>.\nMembers can opt in with `/track on`.",
+  "track.on":
+    "Tracking **{name}**! New matches will be announced in <#{channelId}>.",
+  "track.onNoChannel":
+    "Tracking **{name}**! Matches will be announced once an admin sets a channel with `/track channel`.",
+  "track.off": "Your matches will no longer be announced in this server.",
+  "track.channel": "📢 Channel",
+  "track.noChannel": "Not set - use `/track channel`",
+  "track.interval": "⏱️ Checked Every",
+  "track.intervalValue": "{minutes} min",
+  "track.lastCheck": "🕐 Last Check",
+  "track.notYet": "Not yet",
+  "track.members": "👥 Tracked Members ({count})",
+  "track.noMembers": "Nobody yet - use `/track on`",
+  "track.announcement.win": "🍗 WINNER WINNER CHICKEN DINNER! - {name}",
+  "track.announcement.title": "🎮 New Match - {name}",
+  "track.announcement.description":
+    "<@{userId}> finished **{rank}** on **{map}** ({mode})",
+  "track.announcement.placement": "🏅 Placement",
+  "track.announcement.kills": "💀 Kills",
+  "track.announcement.damage": "💥 Damage",
+  "track.announcement.footer": "Match ID: {matchId}",
+
+  // /admin
+  "admin.title": "🛠️ Admin",
+  "admin.notRegistered": "<@{userId}> is not registered.",
+  "admin.notInServer":
+    "<@{userId}> is not registered in this server. Their registration can only be changed from a server they are registered in.",
+  "admin.noMembers": "No registered members in this server yet.",
+  "admin.unlinked":
+    "Unlinked <@{userId}> (**{name}**) from this server.\nTheir registration is kept for other servers; they stay unlinked here until they `/register` here again.",
+  "admin.language.set": "The bot now replies in **{language}** in this server.",
+  "admin.language.auto":
+    "The bot now replies in each member's Discord language.",
+  "admin.unknown": "Unknown admin command: {name}",
+  "admin.stats.description": "Bot statistics",
+  "admin.stats.registrations.name": "👥 Registrations",
+  "admin.stats.registrations.value":
+    "This server: **{guild}** ({clans} in a clan)\nAll servers: **{total}**",
+  "admin.stats.storage": "💾 Storage",
+  "admin.stats.cache.name": "⚡ Cache",
+  "admin.stats.cache.value":
+    "Lookups: {lookupHits} hits / {lookupMisses} misses ({lookupSize} entries)\nMatches: {matchHits} hits / {matchMisses} misses ({matchSize} files)",
+  "admin.stats.queue.name": "⏳ PUBG API Queue",
+  "admin.stats.queue.value": "{count} queued • ~{seconds}s wait",
+  "admin.stats.tracker.name": "🛰️ Match Tracker",
+  "admin.stats.tracker.running": "Running • {count} tracked",
+  "admin.stats.tracker.stopped": "Stopped • {count} tracked",
+  "admin.stats.refresh.name": "🔄 Player Refresh",
+  "admin.stats.refresh.value": "Every {hours}h • last {lastRun}",
+  "admin.stats.refresh.notYet": "not yet",
+  "admin.list.more":
+    "...and {count} more. Use `/admin export` for the full list.",
+  "admin.list.footer": "{count} registered members • 👥 = in a clan",
+  "admin.register.failedDescription": "Could not find **{name}** on {platform}",
+  "admin.register.title": "✅ Member Registered",
+  "admin.register.description":
+    "Registered <@{userId}> as **{name}** on {platform}.",
+  "admin.refresh.failed": "Refresh Failed",
+  "admin.refresh.running.title": "🔄 Refresh Running",
+  "admin.refresh.running.description":
+    "Registrations are already being refreshed. Try again in a minute.",
+  "admin.refresh.failedMember": "Could not refresh <@{userId}>",
+  "admin.refresh.failedAll": "Could not refresh the {count} registered members",
+  "admin.refresh.renamed": "🎮 <@{userId}> Name: {from} → **{to}**",
+  "admin.refresh.clanChanged": "👥 <@{userId}> Clan: {from} → **{to}**",
+  "admin.refresh.noClan": "None",
+  "admin.refresh.missing": "⚠️ <@{userId}> Player not found on PUBG",
+  "admin.refresh.someFailed":
+    "❌ {count} member(s) could not be refreshed: {error}",
+  "admin.refresh.title": "🔄 Members Refreshed",
+  "admin.refresh.description":
+    "Checked **{count}** registered member(s).\n\n{changes}",
+  "admin.refresh.upToDate": "Already up to date.",
+  "admin.export.failed": "Export Failed",
+  "admin.export.title": "📦 Registry Export",
+  "admin.export.description":
+    "Exported **{count}** registrations from this server.",
+};
+
+export default EN;
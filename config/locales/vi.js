@@ -0,0 +1,489 @@
+// Vietnamese strings (Tiếng Việt)
+// "command.*" keys are slash command descriptions, registered with Discord as
+// description_localizations; the English descriptions live in the handlers.
+const VI = {
+  // Shared
+  "common.footer": "PUBG Discord Bot",
+  "common.error": "Lỗi",
+  "common.unknown": "Không rõ",
+  "common.noClan": "Không có clan",
+  "common.notRegistered.name": "⚠️ Chưa Đăng Ký",
+  "common.notRegistered.value":
+    "Bạn cần đăng ký trước! Dùng `/register` để thiết lập hồ sơ.",
+  "common.noRecentMatches.name": "⚠️ Không Có Trận Gần Đây",
+  "common.noRecentMatches.value":
+    "Không tìm thấy dữ liệu trận đấu gần đây. Hãy chơi vài trận rồi thử lại!",
+  "common.playerName": "🎮 Tên Người Chơi",
+  "common.playerId": "🆔 ID Người Chơi",
+  "common.platform": "🖥️ Nền Tảng",
+  "common.season": "Mùa {number}",
+  "common.seasonId": "ID mùa: {seasonId}",
+  "common.more": "...và {count} mục khác",
+  "common.noGamesPlayed": "⚠️ Chưa Chơi Trận Nào",
+  "common.invalidMatchId.name": "⚠️ ID Trận Không Hợp Lệ",
+  "common.invalidMatchId.value":
+    "Đây không phải ID trận. ID trận có dạng `0b0a3f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b` - hãy chọn một trận trong gợi ý hoặc để trống `id` để xem trận gần nhất của bạn.",
+  "common.recentMatchesFailed": "Không lấy được các trận gần đây của bạn",
+  "common.matchFailed": "Không lấy được trận `{matchId}`",
+
+  // Failed PUBG API requests
+  "error.notFound.player":
+    "Không tìm thấy người chơi. Kiểm tra lại chính tả và nền tảng - tên phân biệt chữ hoa chữ thường.",
+  "error.notFound.match":
+    "Không tìm thấy trận đấu. PUBG chỉ lưu trận đấu trong 14 ngày.",
+  "error.notFound.clan": "Không tìm thấy clan.",
+  "error.notFound.season": "Không tìm thấy mùa giải.",
+  "error.notFound.stats": "Không có thống kê nào của người chơi này.",
+  "error.notFound.telemetry":
+    "Trận này không có dữ liệu telemetry. PUBG chỉ lưu nó trong 14 ngày.",
+  "error.auth":
+    "PUBG API key của bot không hợp lệ hoặc bị thiếu. Vui lòng liên hệ quản trị viên bot.",
+  "error.rateLimited":
+    "Đã chạm giới hạn yêu cầu của PUBG API. Vui lòng thử lại sau một phút.",
+  "error.rateLimited.retryAfter":
+    "Đã chạm giới hạn yêu cầu của PUBG API. Vui lòng thử lại sau {seconds} giây.",
+  "error.upstream": "PUBG API hiện không hoạt động. Vui lòng thử lại sau.",
+  "error.timeout": "PUBG API phản hồi quá lâu. Vui lòng thử lại.",
+  "error.unknown": "Yêu cầu thất bại: {error}",
+
+  // Autocomplete suggestions
+  "autocomplete.currentSeason": "{name} (hiện tại)",
+
+  // /register
+  "register.modalTitle": "Đăng Ký Người Chơi PUBG ({platform})",
+  "register.nameLabel": "Tên Người Chơi PUBG",
+  "register.namePlaceholder": "Nhập chính xác tên trong game PUBG của bạn",
+  "register.failed": "Đăng Ký Thất Bại",
+  "register.lookupFailed": "Không tra cứu được **{name}** trên {platform}.",
+  "register.notFound.detail":
+    "Không có người chơi PUBG nào tên **{name}** trên nền tảng {platform}.",
+  "register.success.title": "✅ Đăng Ký Thành Công!",
+  "register.success.description":
+    "Đã đăng ký thành công người chơi PUBG **{name}**!",
+  "register.inClan.name": "👥 Clan",
+  "register.inClan.value":
+    "Đang ở trong một clan! Dùng `/info` để xem chi tiết.",
+  "register.noClan.name": "🏆 Clan",
+  "register.nextStep.name": "💡 Bước Tiếp Theo",
+  "register.nextStep.value": "Dùng lệnh `/info` để xem đầy đủ hồ sơ của bạn!",
+
+  // /info
+  "info.title": "🎮 Hồ Sơ PUBG",
+  "info.description": "Hồ sơ của <@{userId}>",
+  "info.failed": "Không Tải Được Hồ Sơ",
+  "info.failedDescription": "Không lấy được hồ sơ của **{name}**",
+  "info.status.name": "📊 Trạng Thái",
+  "info.status.value":
+    "Chưa đăng ký. Dùng `/register` để thiết lập hồ sơ của bạn!",
+  "info.clanName": "👥 Tên Clan",
+  "info.clanId": "🆔 ID Clan",
+  "info.clanLevel.name": "⭐ Cấp Clan",
+  "info.clanLevel.value": "Cấp {level}",
+  "info.members.name": "👥 Thành Viên",
+  "info.members.value": "{count} thành viên",
+  "info.clan": "🏆 Clan",
+  "info.previousNames": "📜 Tên Trước Đây",
+
+  // /lookup
+  "lookup.title": "🔎 Tra Cứu Người Chơi PUBG",
+  "lookup.description": "Hồ sơ và các trận gần đây của **{name}**",
+  "lookup.failed": "Tra Cứu Thất Bại",
+  "lookup.clan": "{name} [{tag}] • Cấp {level} • {count} thành viên",
+  "lookup.noRecentMatches": "Không có trận nào trong 14 ngày qua.",
+  "lookup.summary.name": "📈 {count} Trận Gần Nhất",
+  "lookup.summary.value":
+    "💀 **{kills}** hạ gục • ⚔️ K/D **{kd}** • 💥 **{damage}** sát thương TB\n🍗 **{wins}** trận thắng • 📊 hạng TB #{placement}",
+  "lookup.matches": "🎮 Các Trận Gần Đây",
+  "lookup.match":
+    "#{rank} • {map} • {mode} • 💀 {kills} • 💥 {damage} • 🕐 {date}",
+  "lookup.footer":
+    "ID người chơi: {playerId} • Chưa đăng ký, không lưu dữ liệu",
+
+  // /clan
+  "clan.title": "👥 Clan PUBG",
+  "clan.failed": "Không Tải Được Clan",
+  "clan.failedDescription": "Không lấy được clan `{clanId}`",
+  "clan.membersFailedDescription":
+    "Không lấy được các trận gần đây của thành viên **{name}**",
+  "clan.notRegistered":
+    "Bạn cần đăng ký trước! Dùng `/register` để thiết lập hồ sơ, hoặc nhập `id` của một clan.",
+  "clan.noClan.name": "🏆 Không Có Clan",
+  "clan.noClan.value":
+    "**{name}** không ở trong clan nào. Nhập `id` của một clan để tra cứu clan khác.",
+  "clan.invalidId.name": "⚠️ ID Clan Không Hợp Lệ",
+  "clan.invalidId.value":
+    "Đây không phải ID clan. ID clan có dạng `clan.0b0a3f3e1c2d4e5f8a9b0c1d2e3f4a5b` - `/info` hiển thị ID clan của bạn.",
+  "clan.level": "⭐ Cấp",
+  "clan.members": "👥 Thành Viên",
+  "clan.inServer": "🏠 Trong Server Này",
+  "clan.serverMembers": "🎮 Thành Viên Server",
+  "clan.serverMembersCount": "🎮 Thành Viên Server ({count})",
+  "clan.noServerMembers":
+    "Không có thành viên đã đăng ký nào của server này trong clan.",
+  "clan.member":
+    "<@{userId}> • **{name}** • 💀 {kills} • 💥 {damage} TB • 🍗 {wins}",
+  "clan.memberNoMatches": "<@{userId}> • **{name}** • không có trận gần đây",
+  "clan.more": "...và {count} người khác",
+  "clan.recentPerformance": "📈 Phong Độ Gần Đây",
+  "clan.total":
+    "**{matches}** trận • 💀 **{kills}** hạ gục • ⚔️ K/D **{kd}**\n💥 **{damage}** sát thương TB • 🍗 **{wins}** trận thắng",
+  "clan.totalPlacement": " • 📊 hạng TB #{placement}",
+  "clan.noRecentMatches": "Không có trận gần đây",
+  "clan.footer": "{count} trận gần nhất mỗi thành viên | ID clan: {clanId}",
+
+  // /sting
+  "stats.title": "📊 Thống Kê Trận Đấu PUBG",
+  "stats.failed": "Không Tải Được Thống Kê",
+  "stats.failedDescription": "Không lấy được dữ liệu trận đấu của **{name}**",
+  "stats.description": "Thống kê của <@{userId}>",
+  "stats.playerDescription": "Thống kê của **{name}**",
+  "stats.recentPerformance": "Phong độ gần đây của **{name}**",
+  "stats.noFilteredMatches":
+    "Không tìm thấy trận **{filter}** nào gần đây. Hãy chơi vài trận rồi thử lại!",
+  "stats.onMap": "tại {map}",
+  "stats.ownerOnly":
+    "Chỉ <@{userId}> mới lật trang được kết quả này. Dùng `/sting` để xem của bạn.",
+  "stats.noLongerRegistered":
+    "Bạn không còn đăng ký nữa. Dùng `/register` để thiết lập hồ sơ.",
+  "stats.userNoLongerRegistered": "<@{userId}> không còn đăng ký nữa.",
+  "stats.prev": "◀ Trước",
+  "stats.next": "Sau ▶",
+  "stats.detailsPlaceholder": "🔍 Xem chi tiết trận",
+  "stats.option.label": "Trận {number} - {map} ({mode})",
+  "stats.option.description":
+    "Hạng #{rank} • {kills} hạ gục • {damage} sát thương",
+  "stats.match": "🎮 Trận {number} - {mode}",
+  "stats.rank": "Hạng #{rank}",
+  "stats.rankUnknown": "Không Rõ Hạng",
+  "stats.compact":
+    "💥 {damage} sát thương • 💊 {revives} hồi sinh • 💀 {kills} hạ gục",
+  "stats.damage": "💥 Sát Thương",
+  "stats.revives": "💊 Hồi Sinh",
+  "stats.kills": "💀 Hạ Gục",
+  "stats.total": "📈 Tổng Kết ({count} Trận)",
+  "stats.totalDamage": "💥 Tổng Sát Thương",
+  "stats.totalRevives": "💊 Tổng Hồi Sinh",
+  "stats.totalKills": "💀 Tổng Hạ Gục",
+  "stats.footer.page": "Trang {page} • ",
+  "stats.footer.recent": "Thống kê dựa trên {count} trận {filter}gần nhất",
+  "stats.footer.older": "Thống kê dựa trên {count} trận {filter}cũ hơn",
+  "stats.matchFailed": "Không Tải Được Trận Đấu",
+  "stats.matchFailedDescription":
+    "Không lấy được trận `{matchId}` của **{name}**",
+  "stats.matchDescription": "Chi tiết trận của **{name}** • 🕐 {date}",
+  "stats.detail.rank": "🏅 Hạng",
+  "stats.detail.headshots": "🎯 Headshot",
+  "stats.detail.assists": "🤝 Hỗ Trợ",
+  "stats.detail.knocks": "🩸 Hạ Gục Tạm Thời",
+  "stats.detail.heals": "🩹 Hồi Máu",
+  "stats.detail.survived": "⏱️ Sống Sót",
+  "stats.detail.walked": "🚶 Đi Bộ",
+  "stats.detail.drove": "🚗 Lái Xe",
+  "stats.detail.footer":
+    "ID trận: {matchId} • /match và /matchdetail có thêm chi tiết",
+
+  // Deferred responses and permission checks (see utils/interaction.js)
+  "interaction.queued.title": "⏳ Đang Chờ PUBG API",
+  "interaction.queued.description":
+    "Yêu cầu của bạn đang xếp sau **{count}** yêu cầu khác để không vượt giới hạn của PUBG API.\nThời gian chờ dự kiến: ~{seconds} giây",
+  "interaction.failed.title": "Đã Có Lỗi Xảy Ra",
+  "interaction.failed.description":
+    "Đã xảy ra lỗi không mong muốn khi xử lý yêu cầu của bạn. Vui lòng thử lại sau.",
+  "interaction.missingPermission.title": "🔒 Thiếu Quyền",
+  "interaction.missingPermission.description":
+    "Bạn cần quyền **{permission}** để dùng lệnh này.",
+  "permission.administrator": "Quản Trị Viên",
+  "permission.manageGuild": "Quản Lý Máy Chủ",
+
+  // /season
+  "season.title": "📅 Thống Kê Mùa PUBG",
+  "season.seasonTitle": "📅 Thống Kê PUBG {season}",
+  "season.description": "Thống kê của <@{userId}>",
+  "season.playerDescription": "Thống kê của **{name}**",
+  "season.performance": "Phong độ trong mùa của **{name}**",
+  "season.failed": "Không Tải Được Thống Kê Mùa",
+  "season.failedDescription": "Không lấy được dữ liệu mùa của **{name}**",
+  "season.noGames":
+    "Chưa chơi trận nào trong {season}. Nhảy dù rồi thử lại nhé!",
+  "season.noModeGames":
+    "Chưa chơi trận **{mode}** nào trong {season}. Nhảy dù rồi thử lại nhé!",
+  "season.mode":
+    "🔁 Số trận **{rounds}** • 🍗 Thắng **{wins}** • 🔝 Top 10 **{top10s}**\n💀 K/D **{kd}** • 💥 Sát thương TB **{damage}** • 🎯 Headshot **{headshots}**",
+
+  // /ranked
+  "ranked.title": "🏅 Thống Kê Rank PUBG",
+  "ranked.seasonTitle": "🏅 Rank PUBG {season}",
+  "ranked.description": "Thống kê của <@{userId}>",
+  "ranked.playerDescription": "Thống kê rank của **{name}**",
+  "ranked.progress": "Tiến trình xếp hạng của **{name}**",
+  "ranked.failed": "Không Tải Được Thống Kê Rank",
+  "ranked.failedDescription": "Không lấy được dữ liệu rank của **{name}**",
+  "ranked.unranked": "⚠️ Chưa Có Rank",
+  "ranked.noGames":
+    "Chưa chơi trận rank nào trong {season}. Hoàn thành các trận phân hạng rồi thử lại nhé!",
+  "ranked.noModeGames":
+    "Chưa chơi trận rank **{mode}** nào trong {season}. Hoàn thành các trận phân hạng rồi thử lại nhé!",
+  "ranked.tier":
+    "{tier} • **{points} RP**\nCao nhất: {bestTier} ({bestPoints} RP)",
+  "ranked.wins": "🍗 Thắng",
+  "ranked.kda": "💀 KDA",
+  "ranked.avgRank": "📈 Hạng TB",
+
+  // /lifetime
+  "lifetime.title": "🏆 Thống Kê Trọn Đời PUBG",
+  "lifetime.description": "Thống kê của <@{userId}>",
+  "lifetime.playerDescription": "Thống kê của **{name}**",
+  "lifetime.failed": "Không Tải Được Thống Kê Trọn Đời",
+  "lifetime.failedDescription":
+    "Không lấy được dữ liệu trọn đời của **{name}**",
+  "lifetime.noGames":
+    "Chưa có trận nào được ghi nhận. Hãy chơi vài trận rồi thử lại!",
+  "lifetime.mode":
+    "🔁 {rounds} trận • 🍗 {wins} trận thắng • 💀 {kills} hạ gục • 💥 {damage} sát thương",
+  "lifetime.winRate": "🍗 % Thắng",
+  "lifetime.kd": "💀 K/D",
+  "lifetime.damagePerRound": "💥 Sát Thương/Trận",
+  "lifetime.summary":
+    "Thành tích mọi thời đại của **{name}**\n\n📈 **Tổng (Mọi Chế Độ)**\n🔁 **{rounds}** trận • 🍗 **{wins}** trận thắng ({winRate}) • 💀 **{kills}** hạ gục\nK/D **{kd}** • Sát thương/trận **{damage}**",
+  "lifetime.footer": "Thống kê trọn đời trên {count} chế độ chơi",
+
+  // /leaderboard
+  "leaderboard.title": "🏆 Bảng Xếp Hạng Server",
+  "leaderboard.metricTitle": "🏆 Bảng Xếp Hạng Server - {metric}",
+  "leaderboard.metric.kills": "Hạ Gục",
+  "leaderboard.metric.damage": "Sát Thương",
+  "leaderboard.metric.wins": "Trận Thắng",
+  "leaderboard.metric.placement": "Hạng TB",
+  "leaderboard.metric.kd": "K/D",
+  "leaderboard.recentOnly":
+    "**{metric}** chỉ có cho các trận gần đây. Hãy thử `period: Recent matches`.",
+  "leaderboard.noMembers":
+    "Server này chưa có thành viên nào đăng ký. Dùng `/register` để tham gia bảng xếp hạng!",
+  "leaderboard.failed": "Không Tạo Được Bảng Xếp Hạng",
+  "leaderboard.failedDescription":
+    "Không lấy được thống kê của các thành viên server này",
+  "leaderboard.recentPeriod": "{count} trận gần nhất mỗi người chơi",
+  "leaderboard.noGames":
+    "Chưa có thành viên nào chơi trận nào trong khoảng thời gian này.",
+  "leaderboard.footer": "{period} • {ranked}/{total} thành viên được xếp hạng",
+
+  // /compare
+  "compare.title": "⚔️ So Sánh Người Chơi",
+  "compare.samePlayer":
+    "Hãy chọn hai người chơi khác nhau để so sánh. Dùng `against` để chọn một người khác ngoài bạn.",
+  "compare.otherNotRegistered":
+    "<@{userId}> chưa đăng ký. Họ có thể dùng `/register` để thiết lập hồ sơ!",
+  "compare.failed": "Không So Sánh Được Người Chơi",
+  "compare.failedDescription": "Không lấy được thống kê của **{name}**",
+  "compare.stat.matches": "🎮 Số Trận",
+  "compare.stat.roundsPlayed": "🔁 Số Trận",
+  "compare.stat.kills": "💀 Hạ Gục",
+  "compare.stat.avgDamage": "💥 Sát Thương TB",
+  "compare.stat.wins": "🍗 Thắng",
+  "compare.stat.winRate": "📊 % Thắng",
+  "compare.stat.avgPlacement": "📈 Hạng TB",
+  "compare.stat.kd": "⚔️ K/D",
+  "compare.stat.headshotRate": "🎯 Headshot",
+  "compare.allModes": "Mọi chế độ",
+  "compare.recentPeriod": "{count} trận gần nhất",
+  "compare.verdict": "📣 Kết Luận",
+  "compare.even": "🤝 Ngang tài ngang sức {left}-{right}!",
+  "compare.carrying": "🏆 **{name}** đang gánh team, {high}-{low}",
+
+  // /match
+  "match.title": "🎮 Bảng Điểm Trận Đấu",
+  "match.notRegistered":
+    "Bạn cần đăng ký trước! Dùng `/register` để thiết lập hồ sơ, hoặc nhập `id` của một trận.",
+  "match.failed": "Không Tải Được Trận Đấu",
+  "match.description":
+    "📍 **{map}** • 🎮 {mode} • ⏱️ {duration} • 🕐 {date}\n👥 {count} đội",
+  "match.team": "{position} Đội{dinner}{yourTeam} - 💀 {kills} • 💥 {damage}",
+  "match.yourTeam": " ⭐ Đội Của Bạn",
+  "match.footer":
+    "💀 Hạ gục • 💥 Sát thương • 🩸 Hạ gục tạm thời • ⏱️ Sống sót | ID trận: {matchId}",
+
+  // /matchdetail
+  "matchDetail.title": "🔫 Chi Tiết Trận Đấu",
+  "matchDetail.playerTitle": "🔫 Chi Tiết Trận Đấu - {name}",
+  "matchDetail.failed": "Không Tải Được Chi Tiết Trận",
+  "matchDetail.notInMatch": "**{name}** không chơi trong trận `{matchId}`",
+  "matchDetail.notInMatchError": "Không tìm thấy người chơi trong trận",
+  "matchDetail.telemetryFailed":
+    "Không lấy được telemetry của trận `{matchId}`",
+  "matchDetail.description": "📍 **{map}** • 🎮 {mode} • ⏱️ {duration}",
+  "matchDetail.none": "Không có",
+  "matchDetail.kills": "💀 Hạ Gục ({count})",
+  "matchDetail.knocks": "🩸 Hạ Gục Tạm Thời ({count})",
+  "matchDetail.weapons": "🔫 Vũ Khí",
+  "matchDetail.noDamage": "Không gây sát thương",
+  "matchDetail.damageTaken": "🩹 Sát Thương Nhận",
+  "matchDetail.damageTakenValue": "Tổng **{damage}**\n{attackers}",
+  "matchDetail.combat": "📊 Giao Tranh",
+  "matchDetail.combatValue":
+    "💥 Sát thương: **{damage}**\n📏 Hạ gục xa nhất: **{longestKill}**",
+  "matchDetail.killedBy": "☠️ Bị Hạ Bởi",
+  "matchDetail.environment": "☁️ Môi Trường",
+  "matchDetail.death":
+    "{killer} • {weapon} • {distance}m{headshot} lúc `{time}`",
+  "matchDetail.survived": "🍗 Sống sót đến cuối trận!",
+  "matchDetail.footer": "Thời gian tính từ đầu trận | ID trận: {matchId}",
+
+  // /track
+  "track.title": "🛰️ Theo Dõi Trận Đấu",
+  "track.channelPermission":
+    "Bạn cần quyền **{permission}** để đổi kênh theo dõi.",
+  "track.channelSet":
+    "Các trận mới của thành viên được theo dõi sẽ được thông báo trong <#{channelId}>.\nThành viên có thể tham gia bằng `/track on`.",
+  "track.on":
+    "Đang theo dõi **{name}**! Các trận mới sẽ được thông báo trong <#{channelId}>.",
+  "track.onNoChannel":
+    "Đang theo dõi **{name}**! Các trận sẽ được thông báo khi quản trị viên đặt kênh bằng `/track channel`.",
+  "track.off": "Các trận của bạn sẽ không còn được thông báo trong server này.",
+  "track.channel": "📢 Kênh",
+  "track.noChannel": "Chưa đặt - dùng `/track channel`",
+  "track.interval": "⏱️ Kiểm Tra Mỗi",
+  "track.intervalValue": "{minutes} phút",
+  "track.lastCheck": "🕐 Lần Kiểm Tra Cuối",
+  "track.notYet": "Chưa có",
+  "track.members": "👥 Thành Viên Được Theo Dõi ({count})",
+  "track.noMembers": "Chưa có ai - dùng `/track on`",
+  "track.announcement.win": "🍗 WINNER WINNER CHICKEN DINNER! - {name}",
+  "track.announcement.title": "🎮 Trận Mới - {name}",
+  "track.announcement.description":
+    "<@{userId}> về đích **{rank}** tại **{map}** ({mode})",
+  "track.announcement.placement": "🏅 Thứ Hạng",
+  "track.announcement.kills": "💀 Hạ Gục",
+  "track.announcement.damage": "💥 Sát Thương",
+  "track.announcement.footer": "ID trận: {matchId}",
+
+  // /admin
+  "admin.title": "🛠️ Quản Trị",
+  "admin.notRegistered": "<@{userId}> chưa đăng ký.",
+  "admin.notInServer":
+    "<@{userId}> chưa đăng ký trong server này. Chỉ có thể thay đổi đăng ký của họ từ một server họ đã đăng ký.",
+  "admin.noMembers": "Server này chưa có thành viên nào đăng ký.",
+  "admin.unlinked":
+    "Đã hủy liên kết <@{userId}> (**{name}**) khỏi server này.\nĐăng ký của họ vẫn được giữ cho các server khác; họ sẽ không được liên kết lại ở đây cho đến khi `/register` lại tại đây.",
+  "admin.language.set":
+    "Bot giờ sẽ trả lời bằng **{language}** trong server này.",
+  "admin.language.auto":
+    "Bot giờ sẽ trả lời theo ngôn ngữ Discord của từng thành viên.",
+  "admin.unknown": "Lệnh quản trị không xác định: {name}",
+  "admin.stats.description": "Thống kê bot",
+  "admin.stats.registrations.name": "👥 Đăng Ký",
+  "admin.stats.registrations.value":
+    "Server này: **{guild}** ({clans} trong clan)\nTất cả server: **{total}**",
+  "admin.stats.storage": "💾 Lưu Trữ",
+  "admin.stats.cache.name": "⚡ Bộ Nhớ Đệm",
+  "admin.stats.cache.value":
+    "Tra cứu: {lookupHits} trúng / {lookupMisses} trượt ({lookupSize} mục)\nTrận đấu: {matchHits} trúng / {matchMisses} trượt ({matchSize} tệp)",
+  "admin.stats.queue.name": "⏳ Hàng Đợi PUBG API",
+  "admin.stats.queue.value": "{count} đang chờ • ~{seconds} giây",
+  "admin.stats.tracker.name": "🛰️ Theo Dõi Trận",
+  "admin.stats.tracker.running": "Đang chạy • {count} người được theo dõi",
+  "admin.stats.tracker.stopped": "Đã dừng • {count} người được theo dõi",
+  "admin.stats.refresh.name": "🔄 Cập Nhật Người Chơi",
+  "admin.stats.refresh.value": "Mỗi {hours} giờ • lần cuối {lastRun}",
+  "admin.stats.refresh.notYet": "chưa chạy",
+  "admin.list.more":
+    "...và {count} người khác. Dùng `/admin export` để xem toàn bộ danh sách.",
+  "admin.list.footer": "{count} thành viên đã đăng ký • 👥 = trong clan",
+  "admin.register.failedDescription":
+    "Không tìm thấy **{name}** trên {platform}",
+  "admin.register.title": "✅ Đã Đăng Ký Thành Viên",
+  "admin.register.description":
+    "Đã đăng ký <@{userId}> là **{name}** trên {platform}.",
+  "admin.refresh.failed": "Cập Nhật Thất Bại",
+  "admin.refresh.running.title": "🔄 Đang Cập Nhật",
+  "admin.refresh.running.description":
+    "Các đăng ký đang được cập nhật. Hãy thử lại sau một phút.",
+  "admin.refresh.failedMember": "Không cập nhật được <@{userId}>",
+  "admin.refresh.failedAll":
+    "Không cập nhật được {count} thành viên đã đăng ký",
+  "admin.refresh.renamed": "🎮 <@{userId}> Tên: {from} → **{to}**",
+  "admin.refresh.clanChanged": "👥 <@{userId}> Clan: {from} → **{to}**",
+  "admin.refresh.noClan": "Không có",
+  "admin.refresh.missing": "⚠️ <@{userId}> Không tìm thấy người chơi trên PUBG",
+  "admin.refresh.someFailed":
+    "❌ {count} thành viên không cập nhật được: {error}",
+  "admin.refresh.title": "🔄 Đã Cập Nhật Thành Viên",
+  "admin.refresh.description":
+    "Đã kiểm tra **{count}** thành viên đã đăng ký.\n\n{changes}",
+  "admin.refresh.upToDate": "Đã cập nhật mới nhất.",
+  "admin.export.failed": "Xuất Dữ Liệu Thất Bại",
+  "admin.export.title": "📦 Xuất Danh Sách Đăng Ký",
+  "admin.export.description": "Đã xuất **{count}** đăng ký của server này.",
+
+  // Slash command descriptions
+  "command.register": "Đăng ký thông tin tài khoản PUBG của bạn",
+  "command.register.platform": "Nền tảng bạn chơi PUBG (mặc định: Steam)",
+  "command.info": "Xem hồ sơ PUBG của bạn",
+  "command.lookup":
+    "Tra cứu bất kỳ người chơi PUBG nào theo tên mà không cần đăng ký",
+  "command.lookup.name": "Tên người chơi PUBG (phân biệt hoa thường)",
+  "command.lookup.platform": "Nền tảng của người chơi (mặc định: Steam)",
+  "command.sting": "Xem thống kê các trận gần nhất của bạn",
+  "command.sting.count": "Số trận hiển thị (mặc định: 3)",
+  "command.sting.mode": "Chỉ hiện các trận của chế độ chơi này",
+  "command.sting.map": "Chỉ hiện các trận trên bản đồ này",
+  "command.sting.refresh": "Bỏ qua dữ liệu đã lưu và tải các trận mới nhất",
+  "command.season": "Xem thống kê theo chế độ chơi của một mùa",
+  "command.season.season": "Mùa (mặc định: mùa hiện tại)",
+  "command.season.mode": "Chỉ hiện một chế độ chơi",
+  "command.ranked": "Xem bậc xếp hạng và thống kê rank của một mùa",
+  "command.ranked.season": "Mùa (mặc định: mùa hiện tại)",
+  "command.ranked.mode": "Chỉ hiện một chế độ xếp hạng",
+  "command.lifetime": "Xem thống kê toàn thời gian theo chế độ chơi",
+  "command.leaderboard": "Xếp hạng các thành viên đã đăng ký trong server",
+  "command.leaderboard.metric": "Tiêu chí xếp hạng (mặc định: hạ gục)",
+  "command.leaderboard.period":
+    "Các trận gần đây hoặc mùa hiện tại (mặc định: gần đây)",
+  "command.leaderboard.mode":
+    "Chế độ chơi khi xếp hạng theo mùa (mặc định: Squad FPP)",
+  "command.compare": "So sánh trực tiếp hai người chơi",
+  "command.compare.player": "Người chơi cần so sánh",
+  "command.compare.against": "Người chơi thứ hai (mặc định: bạn)",
+  "command.compare.period":
+    "Các trận gần đây hoặc mùa hiện tại (mặc định: gần đây)",
+  "command.compare.mode":
+    "Chế độ chơi cho thống kê mùa (mặc định: tất cả chế độ)",
+  "command.clan": "Xem một clan và các thành viên của server trong clan đó",
+  "command.clan.id": "ID clan (mặc định: clan của bạn)",
+  "command.clan.platform": "Nền tảng của clan (mặc định: nền tảng của bạn)",
+  "command.match": "Xem bảng điểm đầy đủ các đội của một trận",
+  "command.match.id": "ID trận (mặc định: trận gần nhất của bạn)",
+  "command.match.platform":
+    "Nền tảng của trận đấu (mặc định: nền tảng của bạn)",
+  "command.matchdetail":
+    "Xem diễn biến hạ gục và chi tiết giao tranh của một trận",
+  "command.matchdetail.id": "ID trận (mặc định: trận gần nhất của bạn)",
+  "command.track":
+    "Thông báo trận mới của thành viên được theo dõi vào một kênh",
+  "command.track.channel":
+    "Đặt kênh thông báo trận mới (cần quyền Quản Lý Máy Chủ)",
+  "command.track.channel.channel": "Kênh thông báo",
+  "command.track.on": "Thông báo các trận mới của bạn trong server này",
+  "command.track.off": "Ngừng thông báo các trận của bạn trong server này",
+  "command.track.status": "Xem kênh theo dõi và các thành viên được theo dõi",
+  "command.admin": "Quản lý các đăng ký PUBG của server",
+  "command.admin.stats": "Xem thống kê đăng ký, bộ nhớ đệm và theo dõi trận",
+  "command.admin.list": "Liệt kê các đăng ký của server",
+  "command.admin.register": "Đăng ký tài khoản PUBG cho một thành viên",
+  "command.admin.register.member": "Thành viên cần đăng ký",
+  "command.admin.register.name": "Tên người chơi PUBG",
+  "command.admin.register.platform":
+    "Nền tảng của người chơi (mặc định: Steam)",
+  "command.admin.unlink":
+    "Hủy liên kết đăng ký của một thành viên khỏi server này",
+  "command.admin.unlink.member": "Thành viên cần hủy liên kết khỏi server này",
+  "command.admin.refresh":
+    "Tải lại tên PUBG và clan của các thành viên đã đăng ký",
+  "command.admin.refresh.member":
+    "Thành viên cần làm mới (mặc định: mọi người trong server)",
+  "command.admin.export": "Xuất các đăng ký của server thành tệp JSON",
+  "command.admin.language": "Đặt ngôn ngữ bot trả lời trong server này",
+  "command.admin.language.language":
+    "Ngôn ngữ (Tự động theo ngôn ngữ Discord của từng thành viên)",
+};
+
+export default VI;
@@ -0,0 +1,44 @@
+// PUBG platform shards supported by the bot
+const DEFAULT_SHARD = "steam";
+
+// Shard -> display name mapping
+const PLATFORMS = {
+  steam: "Steam",
+  kakao: "Kakao",
+  xbox: "Xbox",
+  psn: "PlayStation",
+  stadia: "Stadia",
+  console: "Console",
+};
+
+// Slash command choices for platform options
+const PLATFORM_CHOICES = Object.entries(PLATFORMS).map(([value, name]) => ({
+  name,
+  value,
+}));
+
+/**
+ * Check if a shard is one the bot supports
+ * @param {string} shard - Platform shard
+ * @returns {boolean}
+ */
+function isValidShard(shard) {
+  return Object.hasOwn(PLATFORMS, shard);
+}
+
+/**
+ * Get display name for a shard
+ * @param {string} shard - Platform shard
+ * @returns {string}
+ */
+function getPlatformDisplayName(shard) {
+  return PLATFORMS[shard] || shard.toUpperCase();
+}
+
+export {
+  DEFAULT_SHARD,
+  PLATFORMS,
+  PLATFORM_CHOICES,
+  isValidShard,
+  getPlatformDisplayName,
+};
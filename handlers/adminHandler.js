@@ -0,0 +1,605 @@
+import {
+  InteractionResponseFlags,
+  InteractionResponseType,
+} from "discord-interactions";
+import {
+  getGuildPlayerData,
+  getGuildSettings,
+  getPlayerData,
+  getStats,
+  removeGuildMember,
+  savePlayerData,
+  updateGuildSettings,
+} from "../utils/storage.js";
+import { PERMISSIONS, deferResponse } from "../utils/interaction.js";
+import { buildErrorMessage, describeError } from "../utils/errors.js";
+import {
+  getLanguage,
+  getLanguageDisplayName,
+  isValidLanguage,
+  LANGUAGE_CHOICES,
+  t,
+} from "../utils/i18n.js";
+import {
+  DEFAULT_SHARD,
+  getPlatformDisplayName,
+  isValidShard,
+  PLATFORM_CHOICES,
+} from "../config/platforms.js";
+import pubgApi from "../models/pubg-api.js";
+import matchTracker from "../models/match-tracker.js";
+import playerRefresher from "../models/player-refresher.js";
+
+// Registrations listed by /admin list (the rest are in /admin export)
+const MAX_LISTED_REGISTRATIONS = 50;
+// Changes listed by /admin refresh (embed descriptions hold 4096 chars)
+const MAX_LISTED_CHANGES = 30;
+
+/**
+ * Send an ephemeral /admin response embed
+ */
+function sendAdminEmbed(res, language, embed) {
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      embeds: [
+        {
+          title: t(language, "admin.title"),
+          timestamp: new Date().toISOString(),
+          ...embed,
+        },
+      ],
+      allowed_mentions: { parse: [] },
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Reply for a member whose registration belongs to other servers only
+ * Admins can only change registrations of their own server's members.
+ */
+function notInServerEmbed(memberId, language) {
+  return {
+    description: t(language, "admin.notInServer", { userId: memberId }),
+    color: 0xf39c12,
+  };
+}
+
+/**
+ * Handle /admin command - Manage the server's registrations
+ * Subcommands: stats, list, register, unlink, refresh, export, language
+ * Requires the Manage Server permission (checked by the router, see
+ * `permissions` below).
+ */
+export async function handleAdminCommand(req, res) {
+  const guildId = req.body.guild_id;
+  const language = getLanguage(req);
+  const [subcommand] = req.body.data.options || [];
+  const getOption = (name) =>
+    subcommand.options?.find((option) => option.name === name)?.value;
+
+  const memberId = getOption("member");
+  const playerData = memberId ? getPlayerData(memberId) : null;
+  const inThisServer = !!playerData?.guildIds.includes(guildId);
+  const unlinkedHere = !!playerData?.unlinkedGuildIds.includes(guildId);
+
+  switch (subcommand.name) {
+    case "stats":
+      return sendAdminEmbed(res, language, buildStatsEmbed(guildId, language));
+
+    case "list":
+      return sendAdminEmbed(res, language, buildListEmbed(guildId, language));
+
+    case "register": {
+      // New registrations (and members unlinked here) are fine, but not
+      // taking over another server's
+      if (playerData && !inThisServer && !unlinkedHere) {
+        return sendAdminEmbed(
+          res,
+          language,
+          notInServerEmbed(memberId, language)
+        );
+      }
+
+      const shard = getOption("platform") || DEFAULT_SHARD;
+      return deferResponse(
+        req,
+        res,
+        () =>
+          forceRegister(
+            memberId,
+            guildId,
+            getOption("name").trim(),
+            isValidShard(shard) ? shard : DEFAULT_SHARD,
+            language
+          ),
+        { ephemeral: true, errorTitle: t(language, "register.failed") }
+      );
+    }
+
+    case "unlink": {
+      if (!playerData) {
+        return sendAdminEmbed(res, language, {
+          description: t(language, "admin.notRegistered", {
+            userId: memberId,
+          }),
+          color: 0xf39c12,
+        });
+      }
+      if (!inThisServer) {
+        return sendAdminEmbed(
+          res,
+          language,
+          notInServerEmbed(memberId, language)
+        );
+      }
+
+      removeGuildMember(memberId, guildId);
+      const { trackedUserIds } = getGuildSettings(guildId);
+      if (trackedUserIds.includes(memberId)) {
+        updateGuildSettings(guildId, {
+          trackedUserIds: trackedUserIds.filter((id) => id !== memberId),
+        });
+      }
+      console.log(`🛠️ Admin unlinked ${memberId} in guild ${guildId}`);
+
+      return sendAdminEmbed(res, language, {
+        description: t(language, "admin.unlinked", {
+          userId: memberId,
+          name: playerData.playerName,
+        }),
+        color: 0x27ae60,
+      });
+    }
+
+    case "refresh": {
+      // Without a member, every registered member of this server
+      const userIds = memberId
+        ? [memberId]
+        : Object.keys(getGuildPlayerData(guildId));
+
+      if (memberId && !playerData) {
+        return sendAdminEmbed(res, language, {
+          description: t(language, "admin.notRegistered", {
+            userId: memberId,
+          }),
+          color: 0xf39c12,
+        });
+      }
+      if (memberId && !inThisServer) {
+        return sendAdminEmbed(
+          res,
+          language,
+          notInServerEmbed(memberId, language)
+        );
+      }
+      if (userIds.length === 0) {
+        return sendAdminEmbed(res, language, {
+          description: t(language, "admin.noMembers"),
+          color: 0xf39c12,
+        });
+      }
+
+      return deferResponse(req, res, () => refreshMembers(userIds, language), {
+        ephemeral: true,
+        errorTitle: t(language, "admin.refresh.failed"),
+      });
+    }
+
+    case "export":
+      return deferResponse(
+        req,
+        res,
+        () => buildExportMessage(guildId, language),
+        { ephemeral: true, errorTitle: t(language, "admin.export.failed") }
+      );
+
+    case "language": {
+      const choice = getOption("language");
+      const locale = isValidLanguage(choice) ? choice : null;
+      updateGuildSettings(guildId, { locale });
+
+      // Confirm in the language the bot replies in from now on
+      const newLanguage = getLanguage(req);
+      return sendAdminEmbed(res, newLanguage, {
+        description: locale
+          ? t(newLanguage, "admin.language.set", {
+              language: getLanguageDisplayName(locale),
+            })
+          : t(newLanguage, "admin.language.auto"),
+        color: 0x27ae60,
+      });
+    }
+
+    default:
+      return sendAdminEmbed(res, language, {
+        description: t(language, "admin.unknown", { name: subcommand.name }),
+        color: 0xe74c3c,
+      });
+  }
+}
+
+/**
+ * Build the storage/cache/tracker statistics embed
+ */
+function buildStatsEmbed(guildId, language) {
+  const guildStats = getStats(guildId);
+  const totalStats = getStats();
+  const { lookups, matches } = pubgApi.getCacheStats();
+  const { queueDepth, estimatedWaitMs } = pubgApi.getQueueStatus();
+  const tracker = matchTracker.getStatus();
+  const refresher = playerRefresher.getStatus();
+
+  return {
+    description: t(language, "admin.stats.description"),
+    color: 0x3498db,
+    fields: [
+      {
+        name: t(language, "admin.stats.registrations.name"),
+        value: t(language, "admin.stats.registrations.value", {
+          guild: guildStats.totalUsers,
+          clans: guildStats.usersWithClans,
+          total: totalStats.totalUsers,
+        }),
+        inline: false,
+      },
+      {
+        name: t(language, "admin.stats.storage"),
+        value: `${totalStats.backend} • schema v${totalStats.schemaVersion}\n\`${totalStats.dbFilePath}\``,
+        inline: false,
+      },
+      {
+        name: t(language, "admin.stats.cache.name"),
+        value: t(language, "admin.stats.cache.value", {
+          lookupHits: lookups.hits,
+          lookupMisses: lookups.misses,
+          lookupSize: lookups.size,
+          matchHits: matches.hits,
+          matchMisses: matches.misses,
+          matchSize: matches.size,
+        }),
+        inline: false,
+      },
+      {
+        name: t(language, "admin.stats.queue.name"),
+        value: t(language, "admin.stats.queue.value", {
+          count: queueDepth,
+          seconds: Math.ceil(estimatedWaitMs / 1000),
+        }),
+        inline: true,
+      },
+      {
+        name: t(language, "admin.stats.tracker.name"),
+        value: t(
+          language,
+          tracker.running
+            ? "admin.stats.tracker.running"
+            : "admin.stats.tracker.stopped",
+          { count: tracker.trackedPlayers }
+        ),
+        inline: true,
+      },
+      {
+        name: t(language, "admin.stats.refresh.name"),
+        value: t(language, "admin.stats.refresh.value", {
+          hours: Math.round(refresher.intervalMs / 3600000),
+          lastRun: refresher.lastRunAt
+            ? `<t:${Math.floor(
+                new Date(refresher.lastRunAt).getTime() / 1000
+              )}:R>`
+            : t(language, "admin.stats.refresh.notYet"),
+        }),
+        inline: true,
+      },
+    ],
+  };
+}
+
+/**
+ * Build the list of this server's registrations
+ */
+function buildListEmbed(guildId, language) {
+  const members = Object.entries(getGuildPlayerData(guildId));
+
+  if (members.length === 0) {
+    return {
+      description: t(language, "admin.noMembers"),
+      color: 0xf39c12,
+    };
+  }
+
+  const lines = members
+    .slice(0, MAX_LISTED_REGISTRATIONS)
+    .map(
+      ([userId, record]) =>
+        `<@${userId}> • **${
+          record.playerName || t(language, "common.unknown")
+        }** • ${getPlatformDisplayName(record.shard)}${
+          record.clanId ? " • 👥" : ""
+        }`
+    );
+
+  if (members.length > MAX_LISTED_REGISTRATIONS) {
+    lines.push(
+      t(language, "admin.list.more", {
+        count: members.length - MAX_LISTED_REGISTRATIONS,
+      })
+    );
+  }
+
+  return {
+    description: lines.join("\n"),
+    color: 0x3498db,
+    footer: {
+      text: t(language, "admin.list.footer", { count: members.length }),
+    },
+  };
+}
+
+/**
+ * Look up a PUBG player and register them for a member
+ */
+async function forceRegister(memberId, guildId, playerName, shard, language) {
+  const player = await pubgApi.searchPlayerByName(playerName, shard);
+
+  if (player.error) {
+    return buildErrorMessage(player, {
+      title: t(language, "register.failed"),
+      description: t(language, "admin.register.failedDescription", {
+        name: playerName,
+        platform: getPlatformDisplayName(shard),
+      }),
+      language,
+    });
+  }
+
+  savePlayerData(
+    memberId,
+    {
+      playerId: player.id,
+      playerName: player.name,
+      shard,
+      clanId: player.clanId || null,
+    },
+    guildId
+  );
+  console.log(`🛠️ Admin registered ${memberId} as ${player.name}`);
+
+  return {
+    embeds: [
+      {
+        title: t(language, "admin.register.title"),
+        description: t(language, "admin.register.description", {
+          userId: memberId,
+          name: player.name,
+          platform: getPlatformDisplayName(shard),
+        }),
+        color: 0x27ae60,
+        fields: [
+          {
+            name: t(language, "common.playerId"),
+            value: player.id,
+            inline: false,
+          },
+        ],
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  };
+}
+
+/**
+ * Re-fetch members' PUBG names and clans and list what changed
+ * Renames are kept in each registration's name history.
+ */
+async function refreshMembers(userIds, language) {
+  const result = await playerRefresher.refresh({ userIds });
+
+  if (result.busy) {
+    return {
+      embeds: [
+        {
+          title: t(language, "admin.refresh.running.title"),
+          description: t(language, "admin.refresh.running.description"),
+          color: 0xf39c12,
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  if (result.checked === 0 && result.error) {
+    return buildErrorMessage(result.error, {
+      title: t(language, "admin.refresh.failed"),
+      description:
+        userIds.length === 1
+          ? t(language, "admin.refresh.failedMember", { userId: userIds[0] })
+          : t(language, "admin.refresh.failedAll", { count: userIds.length }),
+      language,
+    });
+  }
+
+  const changes = [
+    ...result.renamed.map(({ userId, from, to }) =>
+      t(language, "admin.refresh.renamed", { userId, from, to })
+    ),
+    ...result.clanChanges.map(({ userId, from, to }) =>
+      t(language, "admin.refresh.clanChanged", {
+        userId,
+        from: from || t(language, "admin.refresh.noClan"),
+        to: to || t(language, "admin.refresh.noClan"),
+      })
+    ),
+    ...result.missing.map((userId) =>
+      t(language, "admin.refresh.missing", { userId })
+    ),
+  ];
+  const lines = changes.slice(0, MAX_LISTED_CHANGES);
+  if (changes.length > MAX_LISTED_CHANGES) {
+    lines.push(
+      t(language, "common.more", {
+        count: changes.length - MAX_LISTED_CHANGES,
+      })
+    );
+  }
+  if (result.failed.length > 0) {
+    lines.push(
+      t(language, "admin.refresh.someFailed", {
+        count: result.failed.length,
+        error: describeError(result.error, language),
+      })
+    );
+  }
+
+  return {
+    embeds: [
+      {
+        title: t(language, "admin.refresh.title"),
+        description: t(language, "admin.refresh.description", {
+          count: result.checked,
+          changes: lines.join("\n") || t(language, "admin.refresh.upToDate"),
+        }),
+        color: result.failed.length > 0 ? 0xf39c12 : 0x27ae60,
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  };
+}
+
+/**
+ * Export this server's registrations as a JSON attachment
+ */
+async function buildExportMessage(guildId, language) {
+  const members = getGuildPlayerData(guildId);
+  const contents = JSON.stringify(
+    {
+      guildId,
+      exportedAt: new Date().toISOString(),
+      users: members,
+    },
+    null,
+    2
+  );
+
+  return {
+    embeds: [
+      {
+        title: t(language, "admin.export.title"),
+        description: t(language, "admin.export.description", {
+          count: Object.keys(members).length,
+        }),
+        color: 0x27ae60,
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    files: [
+      {
+        name: `registrations-${guildId}.json`,
+        contents,
+        contentType: "application/json",
+      },
+    ],
+  };
+}
+
+/**
+ * /admin command declaration
+ */
+export const adminCommand = {
+  definition: {
+    name: "admin",
+    description: "Manage this server's PUBG registrations",
+    type: 1,
+    options: [
+      {
+        type: 1,
+        name: "stats",
+        description: "Show registration, cache and tracker statistics",
+      },
+      {
+        type: 1,
+        name: "list",
+        description: "List this server's registrations",
+      },
+      {
+        type: 1,
+        name: "register",
+        description: "Register a PUBG account for a member",
+        options: [
+          {
+            type: 6,
+            name: "member",
+            description: "Member to register",
+            required: true,
+          },
+          {
+            type: 3,
+            name: "name",
+            description: "PUBG player name",
+            required: true,
+          },
+          {
+            type: 3,
+            name: "platform",
+            description: "Platform the player is on (default: Steam)",
+            required: false,
+            choices: PLATFORM_CHOICES,
+          },
+        ],
+      },
+      {
+        type: 1,
+        name: "unlink",
+        description: "Unlink a member's registration from this server",
+        options: [
+          {
+            type: 6,
+            name: "member",
+            description: "Member to unlink from this server",
+            required: true,
+          },
+        ],
+      },
+      {
+        type: 1,
+        name: "refresh",
+        description: "Re-fetch PUBG names and clans of registered members",
+        options: [
+          {
+            type: 6,
+            name: "member",
+            description: "Member to refresh (default: everyone in this server)",
+            required: false,
+          },
+        ],
+      },
+      {
+        type: 1,
+        name: "export",
+        description: "Export this server's registrations as a JSON file",
+      },
+      {
+        type: 1,
+        name: "language",
+        description: "Set the language the bot replies in on this server",
+        options: [
+          {
+            type: 3,
+            name: "language",
+            description:
+              "Language (Auto follows each member's Discord language)",
+            required: true,
+            choices: [{ name: "Auto", value: "auto" }, ...LANGUAGE_CHOICES],
+          },
+        ],
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleAdminCommand,
+  permissions: PERMISSIONS.MANAGE_GUILD,
+};
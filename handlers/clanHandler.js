@@ -0,0 +1,312 @@
+import {
+  InteractionResponseFlags,
+  InteractionResponseType,
+} from "discord-interactions";
+import { getGuildPlayerData, getPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import { mapInBatches } from "../utils/helper.js";
+import { summarizeRecentMatches } from "../utils/stats.js";
+import { DEFAULT_SHARD, PLATFORM_CHOICES } from "../config/platforms.js";
+import pubgApi, { isValidClanId } from "../models/pubg-api.js";
+
+// Number of recent matches per member in the performance summary
+const RECENT_MATCH_COUNT = 5;
+// Members whose matches are fetched at the same time
+const MEMBER_BATCH_SIZE = 3;
+// Members listed by name (embed fields hold 1024 chars)
+const MAX_LISTED_MEMBERS = 15;
+
+/**
+ * Send a /clan response embed without looking anything up
+ */
+function sendClanNotice(res, language, { color, fields, ephemeral = false }) {
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      embeds: [
+        {
+          title: t(language, "clan.title"),
+          color,
+          fields,
+          timestamp: new Date().toISOString(),
+        },
+      ],
+      allowed_mentions: { parse: [] },
+      ...(ephemeral && { flags: InteractionResponseFlags.EPHEMERAL }),
+    },
+  });
+}
+
+/**
+ * Handle /clan command - Clan details and this server's members in it
+ * Options: id (default: the caller's clan), platform
+ */
+export async function handleClanCommand(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const guildId = req.body.guild_id;
+  const playerData = getPlayerData(userId);
+  const options = req.body.data.options || [];
+  const requestedClanId =
+    options.find((option) => option.name === "id")?.value?.trim() || null;
+  const shard =
+    options.find((option) => option.name === "platform")?.value ||
+    playerData?.shard ||
+    DEFAULT_SHARD;
+  const language = getLanguage(req);
+
+  // The ID goes into the request path, so anything else is rejected
+  if (requestedClanId && !isValidClanId(requestedClanId)) {
+    return sendClanNotice(res, language, {
+      color: 0xe74c3c,
+      fields: [
+        {
+          name: t(language, "clan.invalidId.name"),
+          value: t(language, "clan.invalidId.value"),
+          inline: false,
+        },
+      ],
+      ephemeral: true,
+    });
+  }
+
+  // "My clan" needs a registered player in a clan
+  if (!requestedClanId && !playerData) {
+    return sendClanNotice(res, language, {
+      color: 0xe74c3c,
+      fields: [
+        {
+          name: t(language, "common.notRegistered.name"),
+          value: t(language, "clan.notRegistered"),
+          inline: false,
+        },
+      ],
+    });
+  }
+
+  const clanId = requestedClanId || playerData.clanId;
+  if (!clanId) {
+    return sendClanNotice(res, language, {
+      color: 0xf39c12,
+      fields: [
+        {
+          name: t(language, "clan.noClan.name"),
+          value: t(language, "clan.noClan.value", {
+            name: playerData.playerName,
+          }),
+          inline: false,
+        },
+      ],
+    });
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () => buildClanMessage(guildId, clanId, shard, language),
+    { errorTitle: t(language, "clan.failed") }
+  );
+}
+
+/**
+ * Fetch the recent matches of the server's members in the clan
+ * Players are looked up 10 at a time; match details are cached and
+ * not rate limited
+ * @returns {Promise<Array<{userId: string, playerName: string, matches: Array<object>}>|{error: string}>}
+ */
+async function getMemberMatches(members, shard) {
+  const players = await pubgApi.getPlayersByIds(
+    members.map(([, record]) => record.playerId),
+    shard
+  );
+  if (players.error) {
+    return players;
+  }
+
+  const playersById = Object.fromEntries(players.map((p) => [p.id, p]));
+
+  const entries = await mapInBatches(
+    members,
+    MEMBER_BATCH_SIZE,
+    async ([userId, record]) => {
+      const player = playersById[record.playerId];
+      const matches = player
+        ? await pubgApi.getPlayerMatchesStats(
+            record.playerId,
+            player.matchIds.slice(0, RECENT_MATCH_COUNT),
+            shard
+          )
+        : [];
+
+      return {
+        userId,
+        playerName: player?.name || record.playerName,
+        matches: matches.error ? [] : matches,
+      };
+    }
+  );
+
+  return entries;
+}
+
+/**
+ * Fetch the clan and its members' matches and build the /clan embed
+ */
+async function buildClanMessage(guildId, clanId, shard, language) {
+  const clan = await pubgApi.getClanInfo(clanId, shard);
+  if (clan.error) {
+    return buildErrorMessage(clan, {
+      title: t(language, "clan.failed"),
+      description: t(language, "clan.failedDescription", { clanId }),
+      language,
+    });
+  }
+
+  // Registered members of this server whose stored clan is this one
+  const members = Object.entries(getGuildPlayerData(guildId)).filter(
+    ([, record]) => record.clanId === clan.id && record.shard === shard
+  );
+
+  const fields = [
+    {
+      name: t(language, "clan.level"),
+      value: `${clan.level}`,
+      inline: true,
+    },
+    {
+      name: t(language, "clan.members"),
+      value: `${clan.memberCount}`,
+      inline: true,
+    },
+    {
+      name: t(language, "clan.inServer"),
+      value: `${members.length}`,
+      inline: true,
+    },
+  ];
+
+  if (members.length === 0) {
+    fields.push({
+      name: t(language, "clan.serverMembers"),
+      value: t(language, "clan.noServerMembers"),
+      inline: false,
+    });
+  } else {
+    const entries = await getMemberMatches(members, shard);
+    if (entries.error) {
+      return buildErrorMessage(entries, {
+        title: t(language, "clan.failed"),
+        description: t(language, "clan.membersFailedDescription", {
+          name: clan.name,
+        }),
+        language,
+      });
+    }
+
+    const summaries = entries
+      .map((entry) => ({
+        ...entry,
+        summary: summarizeRecentMatches(entry.matches),
+      }))
+      .sort((a, b) => b.summary.kills - a.summary.kills);
+
+    const lines = summaries
+      .slice(0, MAX_LISTED_MEMBERS)
+      .map(({ userId, playerName, summary }) =>
+        summary.matches > 0
+          ? t(language, "clan.member", {
+              userId,
+              name: playerName,
+              kills: summary.kills,
+              damage: Math.round(summary.avgDamage),
+              wins: summary.wins,
+            })
+          : t(language, "clan.memberNoMatches", { userId, name: playerName })
+      );
+    if (summaries.length > MAX_LISTED_MEMBERS) {
+      lines.push(
+        t(language, "clan.more", {
+          count: summaries.length - MAX_LISTED_MEMBERS,
+        })
+      );
+    }
+
+    fields.push({
+      name: t(language, "clan.serverMembersCount", { count: members.length }),
+      value: lines.join("\n"),
+      inline: false,
+    });
+
+    // Every member's matches together
+    const total = summarizeRecentMatches(
+      entries.flatMap((entry) => entry.matches)
+    );
+    fields.push({
+      name: t(language, "clan.recentPerformance"),
+      value:
+        total.matches > 0
+          ? t(language, "clan.total", {
+              matches: total.matches,
+              kills: total.kills,
+              kd: total.kd.toFixed(2),
+              damage: Math.round(total.avgDamage),
+              wins: total.wins,
+            }) +
+            (total.avgPlacement === null
+              ? ""
+              : t(language, "clan.totalPlacement", {
+                  placement: total.avgPlacement.toFixed(1),
+                }))
+          : t(language, "clan.noRecentMatches"),
+      inline: false,
+    });
+  }
+
+  return {
+    embeds: [
+      {
+        title: `👥 ${clan.name} [${clan.tag}]`,
+        color: 0x9b59b6,
+        fields,
+        footer: {
+          text: t(language, "clan.footer", {
+            count: RECENT_MATCH_COUNT,
+            clanId: clan.id,
+          }),
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  };
+}
+
+/**
+ * /clan command declaration
+ */
+export const clanCommand = {
+  definition: {
+    name: "clan",
+    description: "Show a clan and this server's members in it",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "id",
+        description: "Clan ID (default: your clan)",
+        required: false,
+      },
+      {
+        type: 3,
+        name: "platform",
+        description: "Platform the clan is on (default: yours)",
+        required: false,
+        choices: PLATFORM_CHOICES,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleClanCommand,
+};
@@ -0,0 +1,323 @@
+import { InteractionResponseType } from "discord-interactions";
+import { getPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import { getSeasonDisplayName } from "../utils/helper.js";
+import {
+  GAME_MODES,
+  getGameModeDisplayName,
+  summarizeGameModeStats,
+  aggregateGameModeStats,
+  summarizeRecentMatches,
+  formatPercent,
+  GAME_MODE_CHOICES,
+} from "../utils/stats.js";
+import pubgApi from "../models/pubg-api.js";
+
+// Number of recent matches compared for the "recent" period
+const RECENT_MATCH_COUNT = 10;
+
+// Compared stats per period - `lowerIsBetter` flips the winner, names are
+// translated from compare.stat.<key>
+const RECENT_STATS = [
+  { key: "matches", noWinner: true },
+  { key: "kills" },
+  { key: "avgDamage", format: Math.round },
+  { key: "wins" },
+  {
+    key: "avgPlacement",
+    lowerIsBetter: true,
+    format: (value) => `#${value.toFixed(1)}`,
+  },
+  { key: "kd", format: (value) => value.toFixed(2) },
+];
+
+const SEASON_STATS = [
+  { key: "roundsPlayed", noWinner: true },
+  { key: "wins" },
+  { key: "winRate", format: formatPercent },
+  { key: "kills" },
+  { key: "kd", format: (value) => value.toFixed(2) },
+  { key: "avgDamage", format: Math.round },
+  { key: "headshotRate", format: formatPercent },
+];
+
+/**
+ * Fetch one player's comparable stats summary
+ * @returns {Promise<{summary: object, periodText: string}|{error: string, statusCode: number}>}
+ */
+async function getPlayerSummary(playerData, period, gameMode, language) {
+  if (period === "season") {
+    const season = await pubgApi.getCurrentSeason(playerData.shard);
+    if (season.error) {
+      return season;
+    }
+
+    const seasonStats = await pubgApi.getPlayerSeasonStats(
+      playerData.playerId,
+      season.id,
+      playerData.shard
+    );
+    if (seasonStats.error) {
+      return seasonStats;
+    }
+
+    const modes = gameMode ? [gameMode] : GAME_MODES;
+    return {
+      summary: summarizeGameModeStats(
+        aggregateGameModeStats(seasonStats.gameModeStats, modes)
+      ),
+      periodText: `${getSeasonDisplayName(season.id, language)} • ${
+        gameMode
+          ? getGameModeDisplayName(gameMode)
+          : t(language, "compare.allModes")
+      }`,
+    };
+  }
+
+  const matches = await pubgApi.getRecentMatchesStats(
+    playerData.playerId,
+    playerData.shard,
+    RECENT_MATCH_COUNT
+  );
+  if (matches.error) {
+    return matches;
+  }
+
+  return {
+    summary: summarizeRecentMatches(matches),
+    periodText: t(language, "compare.recentPeriod", {
+      count: RECENT_MATCH_COUNT,
+    }),
+  };
+}
+
+/**
+ * Build the "not registered" embed, worded like /info
+ */
+function notRegisteredEmbed(userId, callerId, language) {
+  const status =
+    userId === callerId
+      ? t(language, "info.status.value")
+      : t(language, "compare.otherNotRegistered", { userId });
+
+  return {
+    title: t(language, "compare.title"),
+    description: t(language, "info.description", { userId }),
+    color: 0xe74c3c,
+    fields: [
+      {
+        name: t(language, "info.status.name"),
+        value: status,
+        inline: false,
+      },
+    ],
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Handle /compare command - Head-to-head comparison of two players
+ */
+export async function handleCompareCommand(req, res) {
+  const callerId = req.body.member?.user?.id || req.body.user?.id;
+  const language = getLanguage(req);
+  const options = req.body.data.options || [];
+  const targetId = options.find((option) => option.name === "player")?.value;
+  const otherId =
+    options.find((option) => option.name === "against")?.value || callerId;
+  const period =
+    options.find((option) => option.name === "period")?.value || "recent";
+  const gameMode =
+    options.find((option) => option.name === "mode")?.value || null;
+
+  if (targetId === otherId) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "compare.title"),
+            description: t(language, "compare.samePlayer"),
+            color: 0xf39c12,
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      },
+    });
+  }
+
+  const players = [
+    { userId: otherId, playerData: getPlayerData(otherId) },
+    { userId: targetId, playerData: getPlayerData(targetId) },
+  ];
+
+  // Either side has not registered yet
+  const unregistered = players.filter(({ playerData }) => !playerData);
+  if (unregistered.length > 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: unregistered.map(({ userId }) =>
+          notRegisteredEmbed(userId, callerId, language)
+        ),
+        allowed_mentions: { parse: [] },
+      },
+    });
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () => buildCompareMessage(players, period, gameMode, language),
+    { errorTitle: t(language, "compare.failed") }
+  );
+}
+
+/**
+ * Fetch both players' stats and build the side-by-side embed
+ */
+async function buildCompareMessage(players, period, gameMode, language) {
+  const results = await Promise.all(
+    players.map(({ playerData }) =>
+      getPlayerSummary(playerData, period, gameMode, language)
+    )
+  );
+
+  const failed = results.findIndex((result) => result.error);
+  if (failed !== -1) {
+    return buildErrorMessage(results[failed], {
+      title: t(language, "compare.failed"),
+      description: t(language, "compare.failedDescription", {
+        name: players[failed].playerData.playerName,
+      }),
+      language,
+    });
+  }
+
+  const stats = period === "season" ? SEASON_STATS : RECENT_STATS;
+  const [left, right] = results.map((result) => result.summary);
+  const columns = [[], []];
+  const categoryWins = [0, 0];
+
+  stats.forEach(
+    ({ key, format = (value) => value, lowerIsBetter, noWinner }) => {
+      const label = t(language, `compare.stat.${key}`);
+      const values = [left[key], right[key]];
+
+      // Missing values (e.g. no placement data) can't win
+      let winner = -1;
+      if (
+        !noWinner &&
+        values.every((value) => value !== null) &&
+        values[0] !== values[1]
+      ) {
+        const leftBetter = lowerIsBetter
+          ? values[0] < values[1]
+          : values[0] > values[1];
+        winner = leftBetter ? 0 : 1;
+        categoryWins[winner]++;
+      }
+
+      values.forEach((value, index) => {
+        const text = value === null ? "-" : format(value);
+        columns[index].push(
+          index === winner ? `${label}: **${text}** 👑` : `${label}: ${text}`
+        );
+      });
+    }
+  );
+
+  const names = players.map(
+    ({ playerData }) => playerData.playerName || t(language, "common.unknown")
+  );
+  const verdict =
+    categoryWins[0] === categoryWins[1]
+      ? t(language, "compare.even", {
+          left: categoryWins[0],
+          right: categoryWins[1],
+        })
+      : t(language, "compare.carrying", {
+          name: names[categoryWins[0] > categoryWins[1] ? 0 : 1],
+          high: Math.max(...categoryWins),
+          low: Math.min(...categoryWins),
+        });
+
+  return {
+    embeds: [
+      {
+        title: t(language, "compare.title"),
+        description: `<@${players[0].userId}> vs <@${players[1].userId}>`,
+        color: 0x9b59b6,
+        fields: [
+          {
+            name: `🎮 ${names[0]}`,
+            value: columns[0].join("\n"),
+            inline: true,
+          },
+          {
+            name: `🎮 ${names[1]}`,
+            value: columns[1].join("\n"),
+            inline: true,
+          },
+          {
+            name: t(language, "compare.verdict"),
+            value: verdict,
+            inline: false,
+          },
+        ],
+        footer: {
+          text: results[0].periodText,
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    allowed_mentions: { parse: [] },
+  };
+}
+
+/**
+ * /compare command declaration
+ */
+export const compareCommand = {
+  definition: {
+    name: "compare",
+    description: "Compare two players head-to-head",
+    type: 1,
+    options: [
+      {
+        type: 6,
+        name: "player",
+        description: "Player to compare",
+        required: true,
+      },
+      {
+        type: 6,
+        name: "against",
+        description: "Second player (default: you)",
+        required: false,
+      },
+      {
+        type: 3,
+        name: "period",
+        description: "Recent matches or current season (default: recent)",
+        required: false,
+        choices: [
+          { name: "Recent matches", value: "recent" },
+          { name: "Current season", value: "season" },
+        ],
+      },
+      {
+        type: 3,
+        name: "mode",
+        description: "Game mode for season stats (default: all modes)",
+        required: false,
+        choices: GAME_MODE_CHOICES,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleCompareCommand,
+};
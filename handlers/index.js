@@ -1,28 +1,33 @@
 /**
- * Central export file for all command handlers
- * Makes it easy to import handlers in app.js
+ * Central export file for all command declarations
+ * Each declaration bundles a command's Discord definition with its handlers,
+ * see config/command_mapping.js
  */
 
-export {
-  handleRegisterCommand,
-  handleRegisterModalSubmit,
-} from "./registerHandler.js";
+export { registerCommand } from "./registerHandler.js";
 
-export { handleInfoCommand } from "./infoHandler.js";
+export { infoCommand } from "./infoHandler.js";
 
-export { handleStatsCommand } from "./statsHandler.js";
+export { lookupCommand } from "./lookupHandler.js";
 
-/**
- * Command handler map for easy routing
- */
-export const commandHandlers = {
-  register: "handleRegisterCommand",
-  info: "handleInfoCommand",
-};
+export { stingCommand } from "./statsHandler.js";
 
-/**
- * Modal handler map for easy routing
- */
-export const modalHandlers = {
-  pubg_register_modal: "handleRegisterModalSubmit",
-};
+export { seasonCommand } from "./seasonHandler.js";
+
+export { rankedCommand } from "./rankedHandler.js";
+
+export { lifetimeCommand } from "./lifetimeHandler.js";
+
+export { leaderboardCommand } from "./leaderboardHandler.js";
+
+export { compareCommand } from "./compareHandler.js";
+
+export { clanCommand } from "./clanHandler.js";
+
+export { matchCommand } from "./matchHandler.js";
+
+export { matchDetailCommand } from "./matchDetailHandler.js";
+
+export { trackCommand } from "./trackHandler.js";
+
+export { adminCommand } from "./adminHandler.js";
@@ -1,5 +1,8 @@
 import { InteractionResponseType } from "discord-interactions";
 import { getPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage, describeError } from "../utils/errors.js";
 import pubgApi from "../models/pubg-api.js";
 
 /**
@@ -8,6 +11,7 @@ import pubgApi from "../models/pubg-api.js";
 export async function handleInfoCommand(req, res) {
   const userId = req.body.member?.user?.id || req.body.user?.id;
   const playerData = getPlayerData(userId);
+  const language = getLanguage(req);
 
   // If user has not registered yet
   if (!playerData) {
@@ -16,14 +20,13 @@ export async function handleInfoCommand(req, res) {
       data: {
         embeds: [
           {
-            title: "🎮 PUBG Profile",
-            description: `Profile for <@${userId}>`,
+            title: t(language, "info.title"),
+            description: t(language, "info.description", { userId }),
             color: 0xe74c3c,
             fields: [
               {
-                name: "📊 Status",
-                value:
-                  "Not registered yet. Use `/register` to set up your profile!",
+                name: t(language, "info.status.name"),
+                value: t(language, "info.status.value"),
                 inline: false,
               },
             ],
@@ -34,78 +37,134 @@ export async function handleInfoCommand(req, res) {
     });
   }
 
+  return deferResponse(
+    req,
+    res,
+    () => buildInfoMessage(userId, playerData, language),
+    { errorTitle: t(language, "info.failed") }
+  );
+}
+
+/**
+ * Fetch player and clan details and build the /info response message
+ */
+async function buildInfoMessage(userId, playerData, language) {
   // Fetch player details from PUBG API
-  const player = await pubgApi.getPlayerById(playerData.playerId, "steam");
+  const player = await pubgApi.getPlayerById(
+    playerData.playerId,
+    playerData.shard
+  );
+
+  if (player.error) {
+    return buildErrorMessage(player, {
+      title: t(language, "info.failed"),
+      description: t(language, "info.failedDescription", {
+        name: playerData.playerName,
+      }),
+      language,
+    });
+  }
 
   const fields = [
     {
-      name: "🆔 Player ID",
+      name: t(language, "common.playerId"),
       value: playerData.playerId,
       inline: true,
     },
     {
-      name: "🎮 Player Name",
-      value: playerData.playerName || "Unknown",
+      name: t(language, "common.playerName"),
+      value: playerData.playerName || t(language, "common.unknown"),
       inline: true,
     },
   ];
 
-  // Fetch clan info if player has a clan
-  if (player && !player.error) {
-    const playerAttributes = player;
+  // Names before the latest rename, newest first
+  if (playerData.nameHistory.length > 0) {
+    fields.push({
+      name: t(language, "info.previousNames"),
+      value: playerData.nameHistory
+        .map(({ name }) => name)
+        .reverse()
+        .join(", "),
+      inline: false,
+    });
+  }
 
-    // Get clan ID from player relationships (if exists)
-    if (playerData.clanId) {
-      const clanInfo = await pubgApi.getClanInfo(playerData.clanId, "steam");
+  // Fetch clan info if player has a clan
+  if (playerData.clanId) {
+    const clanInfo = await pubgApi.getClanInfo(
+      playerData.clanId,
+      playerData.shard
+    );
 
-      if (!clanInfo.error) {
-        fields.push(
-          {
-            name: "👥 Clan Name",
-            value: `${clanInfo.name} [${clanInfo.tag}]`,
-            inline: true,
-          },
-          {
-            name: "🆔 Clan ID",
-            value: clanInfo.id,
-            inline: true,
-          },
-          {
-            name: "⭐ Clan Level",
-            value: `Level ${clanInfo.level}`,
-            inline: true,
-          },
-          {
-            name: "👥 Members",
-            value: `${clanInfo.memberCount} members`,
-            inline: true,
-          }
-        );
-      }
-    } else {
+    if (clanInfo.error) {
       fields.push({
-        name: "🏆 Clan",
-        value: "No clan",
-        inline: true,
+        name: t(language, "info.clan"),
+        value: describeError(clanInfo, language),
+        inline: false,
       });
+    } else {
+      fields.push(
+        {
+          name: t(language, "info.clanName"),
+          value: `${clanInfo.name} [${clanInfo.tag}]`,
+          inline: true,
+        },
+        {
+          name: t(language, "info.clanId"),
+          value: clanInfo.id,
+          inline: true,
+        },
+        {
+          name: t(language, "info.clanLevel.name"),
+          value: t(language, "info.clanLevel.value", {
+            level: clanInfo.level,
+          }),
+          inline: true,
+        },
+        {
+          name: t(language, "info.members.name"),
+          value: t(language, "info.members.value", {
+            count: clanInfo.memberCount,
+          }),
+          inline: true,
+        }
+      );
     }
+  } else {
+    fields.push({
+      name: t(language, "info.clan"),
+      value: t(language, "common.noClan"),
+      inline: true,
+    });
   }
 
-  return res.send({
-    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-    data: {
-      embeds: [
-        {
-          title: "🎮 PUBG Profile",
-          description: `Profile for <@${userId}>`,
-          color: 0x27ae60,
-          fields: fields,
-          footer: {
-            text: "PUBG Discord Bot",
-          },
-          timestamp: new Date().toISOString(),
+  return {
+    embeds: [
+      {
+        title: t(language, "info.title"),
+        description: t(language, "info.description", { userId }),
+        color: 0x27ae60,
+        fields: fields,
+        footer: {
+          text: t(language, "common.footer"),
         },
-      ],
-    },
-  });
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
 }
+
+/**
+ * /info command declaration
+ */
+export const infoCommand = {
+  definition: {
+    name: "info",
+    description: "Display your PUBG profile information",
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleInfoCommand,
+};
@@ -0,0 +1,388 @@
+import { InteractionResponseType } from "discord-interactions";
+import { getGuildPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import { TtlCache } from "../utils/cache.js";
+import { getSeasonDisplayName, mapInBatches } from "../utils/helper.js";
+import {
+  getGameModeDisplayName,
+  summarizeGameModeStats,
+  summarizeRecentMatches,
+  GAME_MODE_CHOICES,
+} from "../utils/stats.js";
+import { getPlatformDisplayName } from "../config/platforms.js";
+import pubgApi from "../models/pubg-api.js";
+
+// Number of recent matches per member for the "recent" period
+const RECENT_MATCH_COUNT = 5;
+// Members whose matches are fetched at the same time
+const MEMBER_BATCH_SIZE = 3;
+// Only show the top entries
+const MAX_ENTRIES = 20;
+
+// Computed member stats per guild/period/mode, reused across metrics
+const leaderboardCache = new TtlCache({ ttlMs: 5 * 60 * 1000 });
+
+// Ranking metrics - `key` is the summary field to rank by, names are
+// translated from leaderboard.metric.<metric>
+const METRICS = {
+  kills: { emoji: "💀", key: "kills" },
+  damage: { emoji: "💥", key: "damageDealt" },
+  wins: { emoji: "🍗", key: "wins" },
+  placement: {
+    emoji: "📈",
+    key: "avgPlacement",
+    ascending: true, // Lower placement is better
+    recentOnly: true, // Season stats have no placement data
+  },
+  kd: { emoji: "⚔️", key: "kd" },
+};
+
+const MEDALS = ["🥇", "🥈", "🥉"];
+
+/**
+ * Format a metric value for display
+ */
+function formatMetric(metric, value) {
+  switch (metric) {
+    case "damage":
+      return `${Math.round(value)}`;
+    case "placement":
+      return `#${value.toFixed(1)}`;
+    case "kd":
+      return value.toFixed(2);
+    default:
+      return `${value}`;
+  }
+}
+
+/**
+ * Group guild members by platform shard
+ * @returns {object} { shard: [[userId, record], ...] }
+ */
+function groupByShard(members) {
+  return Object.entries(members).reduce((groups, [userId, record]) => {
+    (groups[record.shard] ||= []).push([userId, record]);
+    return groups;
+  }, {});
+}
+
+/**
+ * Describe the seasons the ranking covers
+ * Platforms can be in different seasons, then each one is named.
+ * @param {object} seasonIds - { shard: seasonId }
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function describeSeasons(seasonIds, language) {
+  const names = Object.entries(seasonIds).map(([shard, seasonId]) => [
+    shard,
+    getSeasonDisplayName(seasonId, language),
+  ]);
+  if (new Set(names.map(([, name]) => name)).size <= 1) {
+    return names[0]?.[1] || "";
+  }
+
+  return names
+    .map(([shard, name]) => `${name} (${getPlatformDisplayName(shard)})`)
+    .join(", ");
+}
+
+/**
+ * Summarize each member's last matches
+ * Players are looked up 10 at a time; match details are cached and
+ * not rate limited
+ */
+async function getRecentEntries(members) {
+  const entries = [];
+
+  for (const [shard, shardMembers] of Object.entries(groupByShard(members))) {
+    const players = await pubgApi.getPlayersByIds(
+      shardMembers.map(([, record]) => record.playerId),
+      shard
+    );
+    if (players.error) {
+      return players;
+    }
+
+    const playersById = Object.fromEntries(players.map((p) => [p.id, p]));
+
+    const shardEntries = await mapInBatches(
+      shardMembers,
+      MEMBER_BATCH_SIZE,
+      async ([userId, record]) => {
+        const player = playersById[record.playerId];
+        if (!player) {
+          return null;
+        }
+
+        const matches = await pubgApi.getPlayerMatchesStats(
+          record.playerId,
+          player.matchIds.slice(0, RECENT_MATCH_COUNT),
+          shard
+        );
+        if (matches.error || matches.length === 0) {
+          return null;
+        }
+
+        return {
+          userId,
+          playerName: player.name,
+          summary: summarizeRecentMatches(matches),
+        };
+      }
+    );
+
+    entries.push(...shardEntries.filter(Boolean));
+  }
+
+  return { entries };
+}
+
+/**
+ * Summarize each member's current season stats for one game mode
+ * Season stats are fetched 10 players per request
+ */
+async function getSeasonEntries(members, gameMode) {
+  const entries = [];
+  // Each platform has its own current season
+  const seasonIds = {};
+
+  for (const [shard, shardMembers] of Object.entries(groupByShard(members))) {
+    const season = await pubgApi.getCurrentSeason(shard);
+    if (season.error) {
+      return season;
+    }
+    seasonIds[shard] = season.id;
+
+    const statsByPlayer = await pubgApi.getPlayersSeasonStats(
+      shardMembers.map(([, record]) => record.playerId),
+      season.id,
+      gameMode,
+      shard
+    );
+    if (statsByPlayer.error) {
+      return statsByPlayer;
+    }
+
+    shardMembers.forEach(([userId, record]) => {
+      const summary = summarizeGameModeStats(statsByPlayer[record.playerId]);
+      if (summary.roundsPlayed > 0) {
+        entries.push({ userId, playerName: record.playerName, summary });
+      }
+    });
+  }
+
+  return { seasonIds, entries };
+}
+
+/**
+ * Handle /leaderboard command - Rank the guild's registered members
+ */
+export async function handleLeaderboardCommand(req, res) {
+  const guildId = req.body.guild_id;
+  const language = getLanguage(req);
+  const options = req.body.data.options || [];
+  const metric =
+    options.find((option) => option.name === "metric")?.value || "kills";
+  const period =
+    options.find((option) => option.name === "period")?.value || "recent";
+  const gameMode =
+    options.find((option) => option.name === "mode")?.value || "squad-fpp";
+
+  if (METRICS[metric].recentOnly && period === "season") {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "leaderboard.title"),
+            description: t(language, "leaderboard.recentOnly", {
+              metric: t(language, `leaderboard.metric.${metric}`),
+            }),
+            color: 0xf39c12,
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      },
+    });
+  }
+
+  const members = getGuildPlayerData(guildId);
+
+  if (Object.keys(members).length === 0) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "leaderboard.title"),
+            description: t(language, "leaderboard.noMembers"),
+            color: 0xf39c12,
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      },
+    });
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () =>
+      buildLeaderboardMessage(
+        guildId,
+        members,
+        metric,
+        period,
+        gameMode,
+        language
+      ),
+    { errorTitle: t(language, "leaderboard.failed") }
+  );
+}
+
+/**
+ * Fetch member stats (or reuse cached ones) and build the ranked embed
+ */
+async function buildLeaderboardMessage(
+  guildId,
+  members,
+  metric,
+  period,
+  gameMode,
+  language
+) {
+  const cacheKey = `${guildId}:${period}:${
+    period === "season" ? gameMode : ""
+  }`;
+  let result = leaderboardCache.get(cacheKey);
+
+  if (!result) {
+    result =
+      period === "season"
+        ? await getSeasonEntries(members, gameMode)
+        : await getRecentEntries(members);
+
+    if (result.error) {
+      return buildErrorMessage(result, {
+        title: t(language, "leaderboard.failed"),
+        description: t(language, "leaderboard.failedDescription"),
+        language,
+      });
+    }
+
+    leaderboardCache.set(cacheKey, result);
+  }
+
+  const { emoji, key, ascending } = METRICS[metric];
+  const title = t(language, "leaderboard.metricTitle", {
+    metric: t(language, `leaderboard.metric.${metric}`),
+  });
+  const ranked = result.entries
+    .filter((entry) => entry.summary[key] !== null)
+    .sort((a, b) =>
+      ascending
+        ? a.summary[key] - b.summary[key]
+        : b.summary[key] - a.summary[key]
+    )
+    .slice(0, MAX_ENTRIES);
+
+  const periodText =
+    period === "season"
+      ? `${describeSeasons(
+          result.seasonIds,
+          language
+        )} • ${getGameModeDisplayName(gameMode)}`
+      : t(language, "leaderboard.recentPeriod", { count: RECENT_MATCH_COUNT });
+
+  if (ranked.length === 0) {
+    return {
+      embeds: [
+        {
+          title: title,
+          description: t(language, "leaderboard.noGames"),
+          color: 0xf39c12,
+          footer: {
+            text: periodText,
+          },
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  const lines = ranked.map((entry, index) => {
+    const position = MEDALS[index] || `**${index + 1}.**`;
+    return `${position} <@${entry.userId}> (${
+      entry.playerName
+    }) - ${emoji} **${formatMetric(metric, entry.summary[key])}**`;
+  });
+
+  return {
+    embeds: [
+      {
+        title: title,
+        description: lines.join("\n"),
+        color: 0xf1c40f,
+        footer: {
+          text: t(language, "leaderboard.footer", {
+            period: periodText,
+            ranked: ranked.length,
+            total: Object.keys(members).length,
+          }),
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    // Mentions are for display only
+    allowed_mentions: { parse: [] },
+  };
+}
+
+/**
+ * /leaderboard command declaration
+ */
+export const leaderboardCommand = {
+  definition: {
+    name: "leaderboard",
+    description: "Rank this server's registered members",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "metric",
+        description: "What to rank by (default: kills)",
+        required: false,
+        choices: [
+          { name: "Kills", value: "kills" },
+          { name: "Damage", value: "damage" },
+          { name: "Wins", value: "wins" },
+          { name: "Avg Placement", value: "placement" },
+          { name: "K/D", value: "kd" },
+        ],
+      },
+      {
+        type: 3,
+        name: "period",
+        description: "Recent matches or current season (default: recent)",
+        required: false,
+        choices: [
+          { name: "Recent matches", value: "recent" },
+          { name: "Current season", value: "season" },
+        ],
+      },
+      {
+        type: 3,
+        name: "mode",
+        description: "Game mode for season rankings (default: Squad FPP)",
+        required: false,
+        choices: GAME_MODE_CHOICES,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleLeaderboardCommand,
+};
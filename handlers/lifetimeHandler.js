@@ -0,0 +1,181 @@
+import { InteractionResponseType } from "discord-interactions";
+import { getPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import {
+  GAME_MODES,
+  getGameModeDisplayName,
+  summarizeGameModeStats,
+  aggregateGameModeStats,
+  formatPercent,
+} from "../utils/stats.js";
+import pubgApi from "../models/pubg-api.js";
+
+/**
+ * Handle /lifetime command - Display all-time stats per game mode
+ */
+export async function handleLifetimeCommand(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const playerData = getPlayerData(userId);
+  const language = getLanguage(req);
+
+  // If user has not registered yet
+  if (!playerData) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "lifetime.title"),
+            description: t(language, "lifetime.description", { userId }),
+            color: 0xe74c3c,
+            fields: [
+              {
+                name: t(language, "common.notRegistered.name"),
+                value: t(language, "common.notRegistered.value"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      },
+    });
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () => buildLifetimeMessage(playerData, language),
+    { errorTitle: t(language, "lifetime.failed") }
+  );
+}
+
+/**
+ * Fetch lifetime stats and build the /lifetime response message
+ */
+async function buildLifetimeMessage(playerData, language) {
+  const lifetimeStats = await pubgApi.getPlayerLifetimeStats(
+    playerData.playerId,
+    playerData.shard
+  );
+
+  // Handle API errors
+  if (lifetimeStats.error) {
+    return buildErrorMessage(lifetimeStats, {
+      title: t(language, "lifetime.failed"),
+      description: t(language, "lifetime.failedDescription", {
+        name: playerData.playerName,
+      }),
+      language,
+    });
+  }
+
+  const playedModes = GAME_MODES.filter(
+    (mode) => lifetimeStats.gameModeStats[mode]?.roundsPlayed > 0
+  );
+
+  if (playedModes.length === 0) {
+    return {
+      embeds: [
+        {
+          title: t(language, "lifetime.title"),
+          description: t(language, "lifetime.playerDescription", {
+            name: playerData.playerName,
+          }),
+          color: 0xf39c12,
+          fields: [
+            {
+              name: t(language, "common.noGamesPlayed"),
+              value: t(language, "lifetime.noGames"),
+              inline: false,
+            },
+          ],
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  // Build fields for each game mode
+  // (4 fields per mode keeps all six modes under Discord's 25 field limit)
+  const fields = [];
+
+  playedModes.forEach((mode) => {
+    const summary = summarizeGameModeStats(lifetimeStats.gameModeStats[mode]);
+
+    fields.push({
+      name: `🎮 ${getGameModeDisplayName(mode)}`,
+      value: t(language, "lifetime.mode", {
+        rounds: summary.roundsPlayed,
+        wins: summary.wins,
+        kills: summary.kills,
+        damage: Math.round(summary.damageDealt),
+      }),
+      inline: false,
+    });
+
+    fields.push(
+      {
+        name: t(language, "lifetime.winRate"),
+        value: formatPercent(summary.winRate),
+        inline: true,
+      },
+      {
+        name: t(language, "lifetime.kd"),
+        value: summary.kd.toFixed(2),
+        inline: true,
+      },
+      {
+        name: t(language, "lifetime.damagePerRound"),
+        value: `${Math.round(summary.avgDamage)}`,
+        inline: true,
+      }
+    );
+  });
+
+  // Summary totals across all modes
+  const total = summarizeGameModeStats(
+    aggregateGameModeStats(lifetimeStats.gameModeStats, playedModes)
+  );
+
+  const description = t(language, "lifetime.summary", {
+    name: playerData.playerName,
+    rounds: total.roundsPlayed,
+    wins: total.wins,
+    winRate: formatPercent(total.winRate),
+    kills: total.kills,
+    kd: total.kd.toFixed(2),
+    damage: Math.round(total.avgDamage),
+  });
+
+  return {
+    embeds: [
+      {
+        title: t(language, "lifetime.title"),
+        description: description,
+        color: 0x3498db,
+        fields: fields,
+        footer: {
+          text: t(language, "lifetime.footer", { count: playedModes.length }),
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+/**
+ * /lifetime command declaration
+ */
+export const lifetimeCommand = {
+  definition: {
+    name: "lifetime",
+    description: "Display your all-time statistics per game mode",
+    type: 1,
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleLifetimeCommand,
+};
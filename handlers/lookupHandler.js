@@ -0,0 +1,228 @@
+import { deferResponse } from "../utils/interaction.js";
+import { formatDate, getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage, describeError } from "../utils/errors.js";
+import { autocompletePlayerNames } from "../utils/autocomplete.js";
+import { getMapDisplayName } from "../utils/helper.js";
+import {
+  getGameModeDisplayName,
+  summarizeRecentMatches,
+} from "../utils/stats.js";
+import {
+  DEFAULT_SHARD,
+  getPlatformDisplayName,
+  isValidShard,
+  PLATFORM_CHOICES,
+} from "../config/platforms.js";
+import pubgApi from "../models/pubg-api.js";
+
+// Recent matches summarized and listed
+const RECENT_MATCH_COUNT = 5;
+
+/**
+ * Handle /lookup command - Profile, clan and recent matches of any player
+ * Options: name, platform (default: Steam)
+ * Unlike /register, nothing is saved: the player doesn't need to be in
+ * the server.
+ */
+export async function handleLookupCommand(req, res) {
+  const options = req.body.data.options || [];
+  const playerName = options
+    .find((option) => option.name === "name")
+    .value.trim();
+  const shard =
+    options.find((option) => option.name === "platform")?.value ||
+    DEFAULT_SHARD;
+  const language = getLanguage(req);
+
+  return deferResponse(
+    req,
+    res,
+    () =>
+      buildLookupMessage(
+        playerName,
+        isValidShard(shard) ? shard : DEFAULT_SHARD,
+        language
+      ),
+    { errorTitle: t(language, "lookup.failed") }
+  );
+}
+
+/**
+ * Build the clan field(s) of a looked up player
+ */
+async function buildClanFields(player, shard, language) {
+  if (!player.clanId) {
+    return [
+      {
+        name: t(language, "info.clan"),
+        value: t(language, "common.noClan"),
+        inline: true,
+      },
+    ];
+  }
+
+  const clan = await pubgApi.getClanInfo(player.clanId, shard);
+  if (clan.error) {
+    return [
+      {
+        name: t(language, "info.clan"),
+        value: describeError(clan, language),
+        inline: true,
+      },
+    ];
+  }
+
+  return [
+    {
+      name: t(language, "info.clan"),
+      value: t(language, "lookup.clan", {
+        name: clan.name,
+        tag: clan.tag,
+        level: clan.level,
+        count: clan.memberCount,
+      }),
+      inline: true,
+    },
+  ];
+}
+
+/**
+ * Build the recent performance fields of a looked up player
+ */
+function buildRecentFields(matches, language) {
+  if (matches.length === 0) {
+    return [
+      {
+        name: t(language, "common.noRecentMatches.name"),
+        value: t(language, "lookup.noRecentMatches"),
+        inline: false,
+      },
+    ];
+  }
+
+  const summary = summarizeRecentMatches(matches);
+  const lines = matches.map((match) =>
+    t(language, "lookup.match", {
+      rank: match.teamRank || "?",
+      map: getMapDisplayName(match.mapName),
+      mode: getGameModeDisplayName(match.gameMode),
+      kills: match.kills,
+      damage: Math.round(match.damageDealt),
+      date: formatDate(match.createdAt, language),
+    })
+  );
+
+  return [
+    {
+      name: t(language, "lookup.summary.name", { count: summary.matches }),
+      value: t(language, "lookup.summary.value", {
+        kills: summary.kills,
+        kd: summary.kd.toFixed(2),
+        damage: Math.round(summary.avgDamage),
+        wins: summary.wins,
+        placement:
+          summary.avgPlacement === null ? "-" : summary.avgPlacement.toFixed(1),
+      }),
+      inline: false,
+    },
+    {
+      name: t(language, "lookup.matches"),
+      value: lines.join("\n"),
+      inline: false,
+    },
+  ];
+}
+
+/**
+ * Search the player by name and build the /lookup response message
+ */
+async function buildLookupMessage(playerName, shard, language) {
+  const player = await pubgApi.searchPlayerByName(playerName, shard);
+
+  if (player.error) {
+    return buildErrorMessage(player, {
+      title: t(language, "lookup.failed"),
+      description: t(language, "register.lookupFailed", {
+        name: playerName,
+        platform: getPlatformDisplayName(shard),
+      }),
+      language,
+    });
+  }
+
+  const matches = await pubgApi.getPlayerMatchesStats(
+    player.id,
+    player.matchIds.slice(0, RECENT_MATCH_COUNT),
+    shard
+  );
+  if (matches.error) {
+    return buildErrorMessage(matches, {
+      title: t(language, "lookup.failed"),
+      description: t(language, "stats.failedDescription", {
+        name: player.name,
+      }),
+      language,
+    });
+  }
+
+  const fields = [
+    {
+      name: t(language, "common.playerName"),
+      value: player.name,
+      inline: true,
+    },
+    {
+      name: t(language, "common.platform"),
+      value: getPlatformDisplayName(shard),
+      inline: true,
+    },
+    ...(await buildClanFields(player, shard, language)),
+    ...buildRecentFields(matches, language),
+  ];
+
+  return {
+    embeds: [
+      {
+        title: t(language, "lookup.title"),
+        description: t(language, "lookup.description", { name: player.name }),
+        color: 0x3498db,
+        fields,
+        footer: {
+          text: t(language, "lookup.footer", { playerId: player.id }),
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+/**
+ * /lookup command declaration
+ */
+export const lookupCommand = {
+  definition: {
+    name: "lookup",
+    description: "Look up any PUBG player by name without registering them",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "name",
+        description: "PUBG player name (case-sensitive)",
+        required: true,
+        autocomplete: true,
+      },
+      {
+        type: 3,
+        name: "platform",
+        description: "Platform the player is on (default: Steam)",
+        required: false,
+        choices: PLATFORM_CHOICES,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleLookupCommand,
+  autocomplete: { name: autocompletePlayerNames },
+};
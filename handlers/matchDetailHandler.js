@@ -0,0 +1,309 @@
+import {
+  InteractionResponseFlags,
+  InteractionResponseType,
+} from "discord-interactions";
+import { getPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import { formatDuration, getMapDisplayName } from "../utils/helper.js";
+import { getGameModeDisplayName } from "../utils/stats.js";
+import { autocompleteRecentMatches } from "../utils/autocomplete.js";
+import pubgApi, { isValidMatchId } from "../models/pubg-api.js";
+import telemetry, { parsePlayerTelemetry } from "../models/telemetry.js";
+
+// Kill feed entries shown before "...and N more"
+const MAX_FEED_ENTRIES = 10;
+// Weapons and attackers listed
+const MAX_LIST_ENTRIES = 5;
+
+/**
+ * Handle /matchdetail command - Kill feed and combat details from telemetry
+ * Options: id (default: the caller's last match)
+ */
+export async function handleMatchDetailCommand(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const playerData = getPlayerData(userId);
+  const language = getLanguage(req);
+  const matchId =
+    req.body.data.options
+      ?.find((option) => option.name === "id")
+      ?.value?.trim()
+      .toLowerCase() || null;
+
+  // The ID goes into the request path, so anything else is rejected
+  if (matchId && !isValidMatchId(matchId)) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "matchDetail.title"),
+            color: 0xe74c3c,
+            fields: [
+              {
+                name: t(language, "common.invalidMatchId.name"),
+                value: t(language, "common.invalidMatchId.value"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+        allowed_mentions: { parse: [] },
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // If user has not registered yet
+  if (!playerData) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "matchDetail.title"),
+            color: 0xe74c3c,
+            fields: [
+              {
+                name: t(language, "common.notRegistered.name"),
+                value: t(language, "common.notRegistered.value"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      },
+    });
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () => buildMatchDetailMessage(playerData, matchId, language),
+    { errorTitle: t(language, "matchDetail.failed") }
+  );
+}
+
+/**
+ * Build the error message for a failed request
+ */
+function errorMessage(description, result, language) {
+  return buildErrorMessage(result, {
+    title: t(language, "matchDetail.failed"),
+    description,
+    language,
+  });
+}
+
+/**
+ * Format kill feed entries, one per line
+ */
+function formatFeed(entries, language) {
+  const lines = entries
+    .slice(0, MAX_FEED_ENTRIES)
+    .map(
+      (entry) =>
+        `\`${formatDuration(entry.time)}\` ${entry.victim} • ${
+          entry.weapon
+        } • ${Math.round(entry.distance)}m${entry.headshot ? " 🎯" : ""}`
+    );
+
+  if (entries.length > MAX_FEED_ENTRIES) {
+    lines.push(
+      t(language, "common.more", { count: entries.length - MAX_FEED_ENTRIES })
+    );
+  }
+  return lines.join("\n") || t(language, "matchDetail.none");
+}
+
+/**
+ * Resolve the match, download its telemetry and build the detail embed
+ */
+async function buildMatchDetailMessage(playerData, requestedMatchId, language) {
+  const { playerId, shard } = playerData;
+  let matchId = requestedMatchId;
+
+  if (!matchId) {
+    const player = await pubgApi.getPlayerById(playerId, shard);
+    if (player.error) {
+      return errorMessage(
+        t(language, "common.recentMatchesFailed"),
+        player,
+        language
+      );
+    }
+
+    matchId = player.matchIds[0];
+    if (!matchId) {
+      return {
+        embeds: [
+          {
+            title: t(language, "matchDetail.title"),
+            color: 0xf39c12,
+            fields: [
+              {
+                name: t(language, "common.noRecentMatches.name"),
+                value: t(language, "common.noRecentMatches.value"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      };
+    }
+  }
+
+  const match = await pubgApi.getMatchDetails(matchId, shard);
+  if (match.error) {
+    return errorMessage(
+      t(language, "common.matchFailed", { matchId }),
+      match,
+      language
+    );
+  }
+
+  const inMatch = match.included.some(
+    (item) =>
+      item.type === "participant" && item.attributes.stats.playerId === playerId
+  );
+  if (!inMatch) {
+    return errorMessage(
+      t(language, "matchDetail.notInMatch", {
+        name: playerData.playerName,
+        matchId,
+      }),
+      { error: t(language, "matchDetail.notInMatchError") },
+      language
+    );
+  }
+
+  const events = await telemetry.getMatchTelemetry(match);
+  if (events.error) {
+    return errorMessage(
+      t(language, "matchDetail.telemetryFailed", { matchId }),
+      events,
+      language
+    );
+  }
+
+  const details = parsePlayerTelemetry(events, playerId);
+
+  const weapons = details.weapons
+    .slice(0, MAX_LIST_ENTRIES)
+    .map(
+      (weapon) =>
+        `**${weapon.name}** • 💥 ${Math.round(weapon.damage)} • 💀 ${
+          weapon.kills
+        }`
+    );
+
+  const attackers = details.attackers
+    .slice(0, MAX_LIST_ENTRIES)
+    .map((attacker) => `${attacker.name} • ${Math.round(attacker.damage)}`);
+
+  const { killedBy } = details;
+  const deathText = killedBy
+    ? t(language, "matchDetail.death", {
+        killer: killedBy.killer
+          ? `**${killedBy.killer}**`
+          : t(language, "matchDetail.environment"),
+        weapon: killedBy.weapon,
+        distance: Math.round(killedBy.distance),
+        headshot: killedBy.headshot ? " 🎯" : "",
+        time: formatDuration(killedBy.time),
+      })
+    : t(language, "matchDetail.survived");
+
+  return {
+    embeds: [
+      {
+        title: t(language, "matchDetail.playerTitle", {
+          name: playerData.playerName,
+        }),
+        description: t(language, "matchDetail.description", {
+          map: getMapDisplayName(match.mapName),
+          mode: getGameModeDisplayName(match.gameMode),
+          duration: formatDuration(match.duration),
+        }),
+        color: killedBy ? 0x3498db : 0x27ae60,
+        fields: [
+          {
+            name: t(language, "matchDetail.kills", {
+              count: details.kills.length,
+            }),
+            value: formatFeed(details.kills, language),
+            inline: false,
+          },
+          {
+            name: t(language, "matchDetail.knocks", {
+              count: details.knocks.length,
+            }),
+            value: formatFeed(details.knocks, language),
+            inline: false,
+          },
+          {
+            name: t(language, "matchDetail.weapons"),
+            value: weapons.join("\n") || t(language, "matchDetail.noDamage"),
+            inline: true,
+          },
+          {
+            name: t(language, "matchDetail.damageTaken"),
+            value: t(language, "matchDetail.damageTakenValue", {
+              damage: Math.round(details.damageTaken),
+              attackers: attackers.join("\n") || "-",
+            }),
+            inline: true,
+          },
+          {
+            name: t(language, "matchDetail.combat"),
+            value: t(language, "matchDetail.combatValue", {
+              damage: Math.round(details.damageDealt),
+              longestKill:
+                details.longestKill === null
+                  ? "-"
+                  : `${Math.round(details.longestKill)}m`,
+            }),
+            inline: true,
+          },
+          {
+            name: t(language, "matchDetail.killedBy"),
+            value: deathText,
+            inline: false,
+          },
+        ],
+        footer: {
+          text: t(language, "matchDetail.footer", { matchId: match.matchId }),
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+/**
+ * /matchdetail command declaration
+ */
+export const matchDetailCommand = {
+  definition: {
+    name: "matchdetail",
+    description: "Show your kill feed and combat details for a match",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "id",
+        description: "Match ID (default: your last match)",
+        required: false,
+        autocomplete: true,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleMatchDetailCommand,
+  autocomplete: { id: autocompleteRecentMatches },
+};
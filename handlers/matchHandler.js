@@ -0,0 +1,252 @@
+import {
+  InteractionResponseFlags,
+  InteractionResponseType,
+} from "discord-interactions";
+import { getPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { formatDate, getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import { formatDuration, getMapDisplayName } from "../utils/helper.js";
+import { getGameModeDisplayName, getMatchRosters } from "../utils/stats.js";
+import { DEFAULT_SHARD, PLATFORM_CHOICES } from "../config/platforms.js";
+import { autocompleteRecentMatches } from "../utils/autocomplete.js";
+import pubgApi, { isValidMatchId } from "../models/pubg-api.js";
+
+// Teams shown on the scoreboard (the caller's team is always added)
+const MAX_ROSTERS = 10;
+
+const MEDALS = ["🥇", "🥈", "🥉"];
+
+/**
+ * Handle /match command - Full team scoreboard of a match
+ * Options: id (default: the caller's last match), platform
+ */
+export async function handleMatchCommand(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const playerData = getPlayerData(userId);
+  const language = getLanguage(req);
+  const options = req.body.data.options || [];
+  const matchId =
+    options
+      .find((option) => option.name === "id")
+      ?.value?.trim()
+      .toLowerCase() || null;
+  const shard =
+    options.find((option) => option.name === "platform")?.value ||
+    playerData?.shard ||
+    DEFAULT_SHARD;
+
+  // The ID goes into the request path, so anything else is rejected
+  if (matchId && !isValidMatchId(matchId)) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "match.title"),
+            color: 0xe74c3c,
+            fields: [
+              {
+                name: t(language, "common.invalidMatchId.name"),
+                value: t(language, "common.invalidMatchId.value"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+        allowed_mentions: { parse: [] },
+        flags: InteractionResponseFlags.EPHEMERAL,
+      },
+    });
+  }
+
+  // "My last match" needs a registered player
+  if (!matchId && !playerData) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "match.title"),
+            color: 0xe74c3c,
+            fields: [
+              {
+                name: t(language, "common.notRegistered.name"),
+                value: t(language, "match.notRegistered"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      },
+    });
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () => buildMatchMessage(playerData, matchId, shard, language),
+    { errorTitle: t(language, "match.failed") }
+  );
+}
+
+/**
+ * Build the error message for a failed request
+ */
+function errorMessage(description, result, language) {
+  return buildErrorMessage(result, {
+    title: t(language, "match.failed"),
+    description,
+    language,
+  });
+}
+
+/**
+ * Format one roster as an embed field
+ */
+function rosterField(roster, isCallerTeam, language) {
+  const position =
+    MEDALS[roster.rank - 1] || (roster.rank ? `#${roster.rank}` : "❓");
+  const highlight = isCallerTeam ? t(language, "match.yourTeam") : "";
+  const dinner = roster.won ? " 🍗" : "";
+
+  const members = roster.members.map((member) => {
+    const name = isCallerTeam ? `**${member.name}**` : member.name;
+    return `${name} • 💀 ${member.kills} • 💥 ${Math.round(
+      member.damageDealt
+    )} • 🩸 ${member.DBNOs} • ⏱️ ${formatDuration(member.timeSurvived)}`;
+  });
+
+  return {
+    name: t(language, "match.team", {
+      position,
+      dinner,
+      yourTeam: highlight,
+      kills: roster.kills,
+      damage: Math.round(roster.damageDealt),
+    }),
+    value: members.join("\n") || "-",
+    inline: false,
+  };
+}
+
+/**
+ * Resolve the match, fetch its details and build the scoreboard embed
+ */
+async function buildMatchMessage(
+  playerData,
+  requestedMatchId,
+  shard,
+  language
+) {
+  let matchId = requestedMatchId;
+
+  if (!matchId) {
+    const player = await pubgApi.getPlayerById(playerData.playerId, shard);
+    if (player.error) {
+      return errorMessage(
+        t(language, "common.recentMatchesFailed"),
+        player,
+        language
+      );
+    }
+
+    matchId = player.matchIds[0];
+    if (!matchId) {
+      return {
+        embeds: [
+          {
+            title: t(language, "match.title"),
+            color: 0xf39c12,
+            fields: [
+              {
+                name: t(language, "common.noRecentMatches.name"),
+                value: t(language, "common.noRecentMatches.value"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      };
+    }
+  }
+
+  const match = await pubgApi.getMatchDetails(matchId, shard);
+  if (match.error) {
+    return errorMessage(
+      t(language, "common.matchFailed", { matchId }),
+      match,
+      language
+    );
+  }
+
+  const rosters = getMatchRosters(match);
+  const callerRoster = playerData
+    ? rosters.find((roster) =>
+        roster.members.some((member) => member.playerId === playerData.playerId)
+      )
+    : null;
+
+  // Top teams, plus the caller's team if it placed lower
+  const shown = rosters.slice(0, MAX_ROSTERS);
+  if (callerRoster && !shown.includes(callerRoster)) {
+    shown.push(callerRoster);
+  }
+
+  return {
+    embeds: [
+      {
+        title: t(language, "match.title"),
+        description: t(language, "match.description", {
+          map: getMapDisplayName(match.mapName),
+          mode: getGameModeDisplayName(match.gameMode),
+          duration: formatDuration(match.duration),
+          date: formatDate(match.createdAt, language),
+          count: rosters.length,
+        }),
+        color: callerRoster?.won ? 0x27ae60 : 0x3498db,
+        fields: shown.map((roster) =>
+          rosterField(roster, roster === callerRoster, language)
+        ),
+        footer: {
+          text: t(language, "match.footer", { matchId: match.matchId }),
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+/**
+ * /match command declaration
+ */
+export const matchCommand = {
+  definition: {
+    name: "match",
+    description: "Show the full team scoreboard of a match",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "id",
+        description: "Match ID (default: your last match)",
+        required: false,
+        autocomplete: true,
+      },
+      {
+        type: 3,
+        name: "platform",
+        description: "Platform the match was played on (default: yours)",
+        required: false,
+        choices: PLATFORM_CHOICES,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleMatchCommand,
+  autocomplete: { id: autocompleteRecentMatches },
+};
@@ -0,0 +1,218 @@
+import { InteractionResponseType } from "discord-interactions";
+import { getPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import { getSeasonDisplayName } from "../utils/helper.js";
+import {
+  GAME_MODES,
+  getGameModeDisplayName,
+  formatPercent,
+  formatTier,
+  GAME_MODE_CHOICES,
+} from "../utils/stats.js";
+import { autocompleteSeasons } from "../utils/autocomplete.js";
+import pubgApi from "../models/pubg-api.js";
+
+/**
+ * Handle /ranked command - Display ranked stats for a season
+ */
+export async function handleRankedCommand(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const playerData = getPlayerData(userId);
+  const language = getLanguage(req);
+  const options = req.body.data.options || [];
+  const seasonOption = options.find((option) => option.name === "season");
+  const modeOption = options.find((option) => option.name === "mode");
+
+  // If user has not registered yet
+  if (!playerData) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "ranked.title"),
+            description: t(language, "ranked.description", { userId }),
+            color: 0xe74c3c,
+            fields: [
+              {
+                name: t(language, "common.notRegistered.name"),
+                value: t(language, "common.notRegistered.value"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      },
+    });
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () => buildRankedMessage(playerData, seasonOption, modeOption, language),
+    { errorTitle: t(language, "ranked.failed") }
+  );
+}
+
+/**
+ * Fetch ranked stats and build the /ranked response message
+ */
+async function buildRankedMessage(
+  playerData,
+  seasonOption,
+  modeOption,
+  language
+) {
+  const season = await pubgApi.getSeason(seasonOption?.value, playerData.shard);
+
+  const rankedStats = season.error
+    ? season
+    : await pubgApi.getPlayerRankedStats(
+        playerData.playerId,
+        season.id,
+        playerData.shard
+      );
+
+  // Handle API errors
+  if (rankedStats.error) {
+    return buildErrorMessage(rankedStats, {
+      title: t(language, "ranked.failed"),
+      description: t(language, "ranked.failedDescription", {
+        name: playerData.playerName,
+      }),
+      language,
+    });
+  }
+
+  const seasonName = getSeasonDisplayName(season.id, language);
+
+  // Ranked modes in display order, limited to the requested mode if any
+  const rankedModes = Object.keys(rankedStats.modes)
+    .filter((mode) => !modeOption || mode === modeOption.value)
+    .filter((mode) => rankedStats.modes[mode].roundsPlayed > 0)
+    .sort((a, b) => GAME_MODES.indexOf(a) - GAME_MODES.indexOf(b));
+
+  if (rankedModes.length === 0) {
+    return {
+      embeds: [
+        {
+          title: t(language, "ranked.seasonTitle", { season: seasonName }),
+          description: t(language, "ranked.playerDescription", {
+            name: playerData.playerName,
+          }),
+          color: 0xf39c12,
+          fields: [
+            {
+              name: t(language, "ranked.unranked"),
+              value: modeOption
+                ? t(language, "ranked.noModeGames", {
+                    mode: getGameModeDisplayName(modeOption.value),
+                    season: seasonName,
+                  })
+                : t(language, "ranked.noGames", { season: seasonName }),
+              inline: false,
+            },
+          ],
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  const fields = [];
+
+  rankedModes.forEach((mode, index) => {
+    const stats = rankedStats.modes[mode];
+
+    fields.push({
+      name: `🎮 ${getGameModeDisplayName(mode)}`,
+      value: t(language, "ranked.tier", {
+        tier: formatTier(stats.currentTier),
+        points: stats.currentRankPoint,
+        bestTier: formatTier(stats.bestTier),
+        bestPoints: stats.bestRankPoint,
+      }),
+      inline: false,
+    });
+
+    fields.push(
+      {
+        name: t(language, "ranked.wins"),
+        value: `${stats.wins} / ${stats.roundsPlayed} (${formatPercent(
+          stats.winRatio
+        )})`,
+        inline: true,
+      },
+      {
+        name: t(language, "ranked.kda"),
+        value: `${stats.kda.toFixed(2)}`,
+        inline: true,
+      },
+      {
+        name: t(language, "ranked.avgRank"),
+        value: `#${stats.avgRank.toFixed(1)}`,
+        inline: true,
+      }
+    );
+
+    // Add spacing between modes (except after last mode)
+    if (index < rankedModes.length - 1) {
+      fields.push({
+        name: "\u200b",
+        value: "\u200b",
+        inline: false,
+      });
+    }
+  });
+
+  return {
+    embeds: [
+      {
+        title: t(language, "ranked.seasonTitle", { season: seasonName }),
+        description: t(language, "ranked.progress", {
+          name: playerData.playerName,
+        }),
+        color: 0x9b59b6,
+        fields: fields,
+        footer: {
+          text: t(language, "common.seasonId", { seasonId: season.id }),
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+/**
+ * /ranked command declaration
+ */
+export const rankedCommand = {
+  definition: {
+    name: "ranked",
+    description: "Display your ranked tier and stats for a season",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "season",
+        description: "Season (default: current season)",
+        required: false,
+        autocomplete: true,
+      },
+      {
+        type: 3,
+        name: "mode",
+        description: "Only show one ranked game mode",
+        required: false,
+        choices: GAME_MODE_CHOICES,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleRankedCommand,
+  autocomplete: { season: autocompleteSeasons },
+};
@@ -1,20 +1,38 @@
 import {
-  InteractionResponseFlags,
   InteractionResponseType,
   MessageComponentTypes,
 } from "discord-interactions";
 import { savePlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import { ERROR_KINDS } from "../models/api-error.js";
 import pubgApi from "../models/pubg-api.js";
+import {
+  DEFAULT_SHARD,
+  isValidShard,
+  getPlatformDisplayName,
+  PLATFORM_CHOICES,
+} from "../config/platforms.js";
 
 /**
  * Handle /register command - Show registration modal
+ * The chosen platform is carried in the modal custom_id (pubg_register_modal:<shard>)
  */
 export async function handleRegisterCommand(req, res) {
+  const platformOption = req.body.data.options?.find(
+    (option) => option.name === "platform"
+  );
+  const shard = platformOption?.value || DEFAULT_SHARD;
+  const language = getLanguage(req);
+
   return res.send({
     type: InteractionResponseType.MODAL,
     data: {
-      title: "Register PUBG Player",
-      custom_id: "pubg_register_modal",
+      title: t(language, "register.modalTitle", {
+        platform: getPlatformDisplayName(shard),
+      }),
+      custom_id: `pubg_register_modal:${shard}`,
       components: [
         {
           type: MessageComponentTypes.ACTION_ROW,
@@ -22,9 +40,9 @@ export async function handleRegisterCommand(req, res) {
             {
               type: MessageComponentTypes.INPUT_TEXT,
               custom_id: "pubg_player_name",
-              label: "PUBG Player Name",
+              label: t(language, "register.nameLabel"),
               style: 1,
-              placeholder: "Enter your exact PUBG in-game name",
+              placeholder: t(language, "register.namePlaceholder"),
               required: true,
               max_length: 100,
             },
@@ -43,56 +61,72 @@ export async function handleRegisterModalSubmit(req, res) {
   const components = req.body.data.components;
   const playerName = components[0].components[0].value;
   const userId = req.body.member?.user?.id || req.body.user?.id;
+  const guildId = req.body.guild_id || null;
+
+  // Platform shard selected in /register
+  const [, requestedShard] = req.body.data.custom_id.split(":");
+  const shard = isValidShard(requestedShard) ? requestedShard : DEFAULT_SHARD;
+  const language = getLanguage(req);
+
+  return deferResponse(
+    req,
+    res,
+    () => lookupAndSavePlayer(userId, guildId, playerName, shard, language),
+    {
+      ephemeral: true,
+      errorTitle: t(language, "register.failed"),
+    }
+  );
+}
+
+/**
+ * Look up the PUBG player, save the registration and build the response message
+ */
+async function lookupAndSavePlayer(
+  userId,
+  guildId,
+  playerName,
+  shard,
+  language
+) {
+  const platformName = getPlatformDisplayName(shard);
 
   console.log(
-    `🔍 Searching PUBG player: ${playerName} for Discord user: ${userId}`
+    `🔍 Searching PUBG player: ${playerName} on ${shard} for Discord user: ${userId}`
   );
 
   // Query PUBG API to get Player ID using Singleton instance
-  const playerData = await pubgApi.searchPlayerByName(playerName, "steam");
+  const playerData = await pubgApi.searchPlayerByName(playerName, shard);
 
   // Handle errors from PUBG API
   if (playerData.error) {
-    let errorMessage = "Failed to find PUBG player.";
-    let errorDetail = playerData.error;
-
-    if (playerData.statusCode === 404) {
-      errorMessage = "Player not found!";
-      errorDetail = `No PUBG player found with name **${playerName}** on Steam platform.\n\nPlease check:\n• Spelling is correct\n• Player exists on Steam platform\n• Try with exact in-game name`;
-    } else if (playerData.statusCode === 401) {
-      errorMessage = "API Configuration Error";
-      errorDetail =
-        "PUBG API key is invalid or missing. Please contact bot administrator.";
-    } else if (playerData.statusCode === 429) {
-      errorMessage = "Too Many Requests";
-      errorDetail = "Rate limit exceeded. Please try again in a few minutes.";
-    }
-
-    return res.send({
-      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: {
-        embeds: [
-          {
-            title: `❌ ${errorMessage}`,
-            description: errorDetail,
-            color: 0xe74c3c,
-            footer: {
-              text: "PUBG Discord Bot",
-            },
-            timestamp: new Date().toISOString(),
-          },
-        ],
-        flags: InteractionResponseFlags.EPHEMERAL,
-      },
+    return buildErrorMessage(playerData, {
+      title: t(language, "register.failed"),
+      description:
+        playerData.kind === ERROR_KINDS.NOT_FOUND
+          ? t(language, "register.notFound.detail", {
+              name: playerName,
+              platform: platformName,
+            })
+          : t(language, "register.lookupFailed", {
+              name: playerName,
+              platform: platformName,
+            }),
+      language,
     });
   }
 
   // Successfully found player - save mapping with full data
-  savePlayerData(userId, {
-    playerId: playerData.id,
-    playerName: playerData.name,
-    clanId: playerData.clanId || null,
-  });
+  savePlayerData(
+    userId,
+    {
+      playerId: playerData.id,
+      playerName: playerData.name,
+      shard: shard,
+      clanId: playerData.clanId || null,
+    },
+    guildId
+  );
 
   console.log(
     `✅ Registration saved: Discord ${userId} -> PUBG ${playerData.name} (${playerData.id})`
@@ -101,18 +135,18 @@ export async function handleRegisterModalSubmit(req, res) {
   // Build registration success fields
   const registrationFields = [
     {
-      name: "🎮 Player Name",
+      name: t(language, "common.playerName"),
       value: playerData.name,
       inline: true,
     },
     {
-      name: "🆔 Player ID",
+      name: t(language, "common.playerId"),
       value: playerData.id,
       inline: true,
     },
     {
-      name: "🖥️ Platform",
-      value: playerData.shard.toUpperCase(),
+      name: t(language, "common.platform"),
+      value: platformName,
       inline: true,
     },
   ];
@@ -120,40 +154,64 @@ export async function handleRegisterModalSubmit(req, res) {
   // Add clan info if player has clan
   if (playerData.clanId) {
     registrationFields.push({
-      name: "👥 Clan Status",
-      value: "Part of a clan! Use `/info` to see details.",
+      name: t(language, "register.inClan.name"),
+      value: t(language, "register.inClan.value"),
       inline: false,
     });
   } else {
     registrationFields.push({
-      name: "🏆 Clan Status",
-      value: "No clan",
+      name: t(language, "register.noClan.name"),
+      value: t(language, "common.noClan"),
       inline: false,
     });
   }
 
   registrationFields.push({
-    name: "💡 Next Step",
-    value: "Use `/info` command to view your full profile!",
+    name: t(language, "register.nextStep.name"),
+    value: t(language, "register.nextStep.value"),
     inline: false,
   });
 
-  return res.send({
-    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-    data: {
-      embeds: [
-        {
-          title: "✅ Registration Successful!",
-          description: `Successfully registered PUBG player **${playerData.name}**!`,
-          color: 0x27ae60,
-          fields: registrationFields,
-          footer: {
-            text: "PUBG Discord Bot",
-          },
-          timestamp: new Date().toISOString(),
+  return {
+    embeds: [
+      {
+        title: t(language, "register.success.title"),
+        description: t(language, "register.success.description", {
+          name: playerData.name,
+        }),
+        color: 0x27ae60,
+        fields: registrationFields,
+        footer: {
+          text: t(language, "common.footer"),
         },
-      ],
-      flags: InteractionResponseFlags.EPHEMERAL,
-    },
-  });
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
 }
+
+/**
+ * /register command declaration
+ */
+export const registerCommand = {
+  definition: {
+    name: "register",
+    description: "Register your PUBG account information",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "platform",
+        description: "Platform you play PUBG on (default: Steam)",
+        required: false,
+        choices: PLATFORM_CHOICES,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleRegisterCommand,
+  modals: {
+    pubg_register_modal: handleRegisterModalSubmit,
+  },
+};
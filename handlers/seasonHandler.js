@@ -0,0 +1,188 @@
+import { InteractionResponseType } from "discord-interactions";
+import { getPlayerData } from "../utils/storage.js";
+import { deferResponse } from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import { getSeasonDisplayName } from "../utils/helper.js";
+import {
+  GAME_MODES,
+  getGameModeDisplayName,
+  summarizeGameModeStats,
+  formatPercent,
+  GAME_MODE_CHOICES,
+} from "../utils/stats.js";
+import { autocompleteSeasons } from "../utils/autocomplete.js";
+import pubgApi from "../models/pubg-api.js";
+
+/**
+ * Handle /season command - Display per game mode stats for a season
+ */
+export async function handleSeasonCommand(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const playerData = getPlayerData(userId);
+  const language = getLanguage(req);
+  const options = req.body.data.options || [];
+  const seasonOption = options.find((option) => option.name === "season");
+  const modeOption = options.find((option) => option.name === "mode");
+
+  // If user has not registered yet
+  if (!playerData) {
+    return res.send({
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        embeds: [
+          {
+            title: t(language, "season.title"),
+            description: t(language, "season.description", { userId }),
+            color: 0xe74c3c,
+            fields: [
+              {
+                name: t(language, "common.notRegistered.name"),
+                value: t(language, "common.notRegistered.value"),
+                inline: false,
+              },
+            ],
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      },
+    });
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () => buildSeasonMessage(playerData, seasonOption, modeOption, language),
+    { errorTitle: t(language, "season.failed") }
+  );
+}
+
+/**
+ * Fetch season stats and build the /season response message
+ */
+async function buildSeasonMessage(
+  playerData,
+  seasonOption,
+  modeOption,
+  language
+) {
+  const season = await pubgApi.getSeason(seasonOption?.value, playerData.shard);
+
+  const seasonStats = season.error
+    ? season
+    : await pubgApi.getPlayerSeasonStats(
+        playerData.playerId,
+        season.id,
+        playerData.shard
+      );
+
+  // Handle API errors
+  if (seasonStats.error) {
+    return buildErrorMessage(seasonStats, {
+      title: t(language, "season.failed"),
+      description: t(language, "season.failedDescription", {
+        name: playerData.playerName,
+      }),
+      language,
+    });
+  }
+
+  const seasonName = getSeasonDisplayName(season.id, language);
+  const modes = modeOption ? [modeOption.value] : GAME_MODES;
+
+  // Only show modes the player actually played
+  const playedModes = modes
+    .map((mode) => ({
+      mode,
+      summary: summarizeGameModeStats(seasonStats.gameModeStats[mode]),
+    }))
+    .filter(({ summary }) => summary.roundsPlayed > 0);
+
+  if (playedModes.length === 0) {
+    return {
+      embeds: [
+        {
+          title: t(language, "season.seasonTitle", { season: seasonName }),
+          description: t(language, "season.playerDescription", {
+            name: playerData.playerName,
+          }),
+          color: 0xf39c12,
+          fields: [
+            {
+              name: t(language, "common.noGamesPlayed"),
+              value: modeOption
+                ? t(language, "season.noModeGames", {
+                    mode: getGameModeDisplayName(modeOption.value),
+                    season: seasonName,
+                  })
+                : t(language, "season.noGames", { season: seasonName }),
+              inline: false,
+            },
+          ],
+          timestamp: new Date().toISOString(),
+        },
+      ],
+    };
+  }
+
+  const fields = playedModes.map(({ mode, summary }) => ({
+    name: `🎮 ${getGameModeDisplayName(mode)}`,
+    value: t(language, "season.mode", {
+      rounds: summary.roundsPlayed,
+      wins: summary.wins,
+      top10s: summary.top10s,
+      kd: summary.kd.toFixed(2),
+      damage: Math.round(summary.avgDamage),
+      headshots: formatPercent(summary.headshotRate),
+    }),
+    inline: false,
+  }));
+
+  return {
+    embeds: [
+      {
+        title: t(language, "season.seasonTitle", { season: seasonName }),
+        description: t(language, "season.performance", {
+          name: playerData.playerName,
+        }),
+        color: 0x3498db,
+        fields: fields,
+        footer: {
+          text: t(language, "common.seasonId", { seasonId: season.id }),
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+/**
+ * /season command declaration
+ */
+export const seasonCommand = {
+  definition: {
+    name: "season",
+    description: "Display your per game mode statistics for a season",
+    type: 1,
+    options: [
+      {
+        type: 3,
+        name: "season",
+        description: "Season (default: current season)",
+        required: false,
+        autocomplete: true,
+      },
+      {
+        type: 3,
+        name: "mode",
+        description: "Only show one game mode",
+        required: false,
+        choices: GAME_MODE_CHOICES,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleSeasonCommand,
+  autocomplete: { season: autocompleteSeasons },
+};
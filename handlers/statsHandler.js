@@ -1,14 +1,51 @@
-import { InteractionResponseType } from "discord-interactions";
+import {
+  ButtonStyleTypes,
+  InteractionResponseFlags,
+  InteractionResponseType,
+  MessageComponentTypes,
+} from "discord-interactions";
 import { getPlayerData } from "../utils/storage.js";
-import { getMapDisplayName } from "../utils/helper.js";
+import { deferResponse } from "../utils/interaction.js";
+import { formatDate, getLanguage, t } from "../utils/i18n.js";
+import { buildErrorMessage } from "../utils/errors.js";
+import {
+  formatDuration,
+  getMapChoices,
+  getMapDisplayName,
+} from "../utils/helper.js";
+import { GAME_MODE_CHOICES, getGameModeDisplayName } from "../utils/stats.js";
 import pubgApi from "../models/pubg-api.js";
+import { RESOURCES, notFoundError } from "../models/api-error.js";
+
+// Default and maximum number of matches shown
+const DEFAULT_MATCH_COUNT = 3;
+const MAX_MATCH_COUNT = 10;
+// Above this many matches each match is shown as a single compact field,
+// keeping the embed under Discord's 25 field limit
+const DETAILED_MATCH_LIMIT = 4;
 
 /**
- * Handle /stats command - Display player statistics from recent 3 matches
+ * Handle /stats command - Display player statistics from recent matches
+ * Options: count (1-10), mode (game mode), map (map display name), refresh
  */
 export async function handleStatsCommand(req, res) {
   const userId = req.body.member?.user?.id || req.body.user?.id;
   const playerData = getPlayerData(userId);
+  const language = getLanguage(req);
+  const options = req.body.data.options || [];
+  const getOption = (name) =>
+    options.find((option) => option.name === name)?.value;
+
+  const filters = {
+    count: Math.min(
+      Math.max(getOption("count") || DEFAULT_MATCH_COUNT, 1),
+      MAX_MATCH_COUNT
+    ),
+    gameMode: getOption("mode") || null,
+    mapName: getOption("map") || null,
+    refresh: getOption("refresh") === true,
+    page: 0,
+  };
 
   // If user has not registered yet
   if (!playerData) {
@@ -17,14 +54,13 @@ export async function handleStatsCommand(req, res) {
       data: {
         embeds: [
           {
-            title: "📊 PUBG Match Statistics",
-            description: `Statistics for <@${userId}>`,
+            title: t(language, "stats.title"),
+            description: t(language, "stats.description", { userId }),
             color: 0xe74c3c,
             fields: [
               {
-                name: "⚠️ Not Registered",
-                value:
-                  "You need to register first! Use `/register` to set up your profile.",
+                name: t(language, "common.notRegistered.name"),
+                value: t(language, "common.notRegistered.value"),
                 inline: false,
               },
             ],
@@ -35,64 +71,258 @@ export async function handleStatsCommand(req, res) {
     });
   }
 
+  return deferResponse(
+    req,
+    res,
+    () => buildStatsMessage(userId, playerData, filters, language),
+    { errorTitle: t(language, "stats.failed") }
+  );
+}
+
+/**
+ * Encode the /sting page state in a component custom_id
+ * (sting_page:<owner>:<page>:<count>:<mode>:<map>)
+ */
+function pageCustomId(ownerId, { page, count, gameMode, mapName }) {
+  return [
+    "sting_page",
+    ownerId,
+    page,
+    count,
+    gameMode || "",
+    mapName || "",
+  ].join(":");
+}
+
+/**
+ * Send an ephemeral notice in reply to a component interaction
+ */
+function sendComponentNotice(res, language, description) {
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      embeds: [
+        {
+          title: t(language, "stats.title"),
+          description,
+          color: 0xf39c12,
+          timestamp: new Date().toISOString(),
+        },
+      ],
+      allowed_mentions: { parse: [] },
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
+
+/**
+ * Handle /sting Prev/Next buttons - Show another page of matches
+ */
+export async function handleStatsPageComponent(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const language = getLanguage(req);
+  const [, ownerId, page, count, gameMode, mapName] =
+    req.body.data.custom_id.split(":");
+
+  if (userId !== ownerId) {
+    return sendComponentNotice(
+      res,
+      language,
+      t(language, "stats.ownerOnly", { userId: ownerId })
+    );
+  }
+
+  const playerData = getPlayerData(ownerId);
+  if (!playerData) {
+    return sendComponentNotice(
+      res,
+      language,
+      t(language, "stats.noLongerRegistered")
+    );
+  }
+
+  const filters = {
+    count: Number(count),
+    gameMode: gameMode || null,
+    mapName: mapName || null,
+    refresh: false,
+    page: Math.max(Number(page), 0),
+  };
+
+  return deferResponse(
+    req,
+    res,
+    () => buildStatsMessage(ownerId, playerData, filters, language),
+    { update: true, errorTitle: t(language, "stats.failed") }
+  );
+}
+
+/**
+ * Handle the /sting "details" select menu - Show one match in detail
+ */
+export async function handleStatsDetailsComponent(req, res) {
+  const [, ownerId] = req.body.data.custom_id.split(":");
+  const [matchId] = req.body.data.values;
+  const playerData = getPlayerData(ownerId);
+  const language = getLanguage(req);
+
+  if (!playerData) {
+    return sendComponentNotice(
+      res,
+      language,
+      t(language, "stats.userNoLongerRegistered", { userId: ownerId })
+    );
+  }
+
+  return deferResponse(
+    req,
+    res,
+    () => buildMatchStatsMessage(playerData, matchId, language),
+    { ephemeral: true, errorTitle: t(language, "stats.matchFailed") }
+  );
+}
+
+/**
+ * Build the Prev/Next buttons and the match details select menu
+ */
+function buildStatsComponents(
+  ownerId,
+  filters,
+  matchesStats,
+  hasMore,
+  language
+) {
+  const components = [];
+
+  if (filters.page > 0 || hasMore) {
+    components.push({
+      type: MessageComponentTypes.ACTION_ROW,
+      components: [
+        {
+          type: MessageComponentTypes.BUTTON,
+          style: ButtonStyleTypes.SECONDARY,
+          label: t(language, "stats.prev"),
+          custom_id: pageCustomId(ownerId, {
+            ...filters,
+            page: filters.page - 1,
+          }),
+          disabled: filters.page === 0,
+        },
+        {
+          type: MessageComponentTypes.BUTTON,
+          style: ButtonStyleTypes.SECONDARY,
+          label: t(language, "stats.next"),
+          custom_id: pageCustomId(ownerId, {
+            ...filters,
+            page: filters.page + 1,
+          }),
+          disabled: !hasMore,
+        },
+      ],
+    });
+  }
+
+  components.push({
+    type: MessageComponentTypes.ACTION_ROW,
+    components: [
+      {
+        type: MessageComponentTypes.STRING_SELECT,
+        custom_id: `sting_details:${ownerId}`,
+        placeholder: t(language, "stats.detailsPlaceholder"),
+        options: matchesStats.map((match, index) => ({
+          label: t(language, "stats.option.label", {
+            number: filters.page * filters.count + index + 1,
+            map: getMapDisplayName(match.mapName),
+            mode: match.gameMode,
+          }),
+          description: t(language, "stats.option.description", {
+            rank: match.teamRank ?? "?",
+            kills: match.kills,
+            damage: Math.round(match.damageDealt),
+          }),
+          value: match.matchId,
+        })),
+      },
+    ],
+  });
+
+  return components;
+}
+
+/**
+ * Fetch recent matches and build the /sting response message
+ */
+async function buildStatsMessage(ownerId, playerData, filters, language) {
+  const { count, gameMode, mapName, refresh, page } = filters;
+
   // Fetch recent match stats from PUBG API
   console.log(
     `📊 Fetching recent match stats for player: ${playerData.playerId}`
   );
 
-  const matchesStats = await pubgApi.getRecentMatchesStats(
+  const hasFilter = gameMode || mapName;
+  // One extra match tells whether there is a next page
+  const pageStats = await pubgApi.getRecentMatchesStats(
     playerData.playerId,
-    "steam",
-    3
+    playerData.shard,
+    count + 1,
+    {
+      refresh,
+      offset: page * count,
+      filter: hasFilter
+        ? (match) =>
+            (!gameMode || match.gameMode === gameMode) &&
+            (!mapName || getMapDisplayName(match.mapName) === mapName)
+        : null,
+    }
   );
 
+  // Describe active filters, e.g. "Squad FPP on Erangel"
+  const filterText = [
+    gameMode && getGameModeDisplayName(gameMode),
+    mapName && t(language, "stats.onMap", { map: mapName }),
+  ]
+    .filter(Boolean)
+    .join(" ");
+
   // Handle API errors
-  if (matchesStats.error) {
-    return res.send({
-      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: {
-        embeds: [
-          {
-            title: "❌ Failed to Fetch Statistics",
-            description: `Could not retrieve match data for **${playerData.playerName}**`,
-            color: 0xe74c3c,
-            fields: [
-              {
-                name: "Error",
-                value: matchesStats.error,
-                inline: false,
-              },
-            ],
-            timestamp: new Date().toISOString(),
-          },
-        ],
-      },
+  if (pageStats.error) {
+    return buildErrorMessage(pageStats, {
+      title: t(language, "stats.failed"),
+      description: t(language, "stats.failedDescription", {
+        name: playerData.playerName,
+      }),
+      language,
     });
   }
 
+  const hasMore = pageStats.length > count;
+  const matchesStats = pageStats.slice(0, count);
+
   // Check if we got any match data
-  if (!matchesStats || matchesStats.length === 0) {
-    return res.send({
-      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: {
-        embeds: [
-          {
-            title: "📊 PUBG Match Statistics",
-            description: `Statistics for **${playerData.playerName}**`,
-            color: 0xf39c12,
-            fields: [
-              {
-                name: "⚠️ No Recent Matches",
-                value:
-                  "No recent match data found. Play some games and try again!",
-                inline: false,
-              },
-            ],
-            timestamp: new Date().toISOString(),
-          },
-        ],
-      },
-    });
+  if (matchesStats.length === 0) {
+    return {
+      embeds: [
+        {
+          title: t(language, "stats.title"),
+          description: t(language, "stats.playerDescription", {
+            name: playerData.playerName,
+          }),
+          color: 0xf39c12,
+          fields: [
+            {
+              name: t(language, "common.noRecentMatches.name"),
+              value: hasFilter
+                ? t(language, "stats.noFilteredMatches", { filter: filterText })
+                : t(language, "common.noRecentMatches.value"),
+              inline: false,
+            },
+          ],
+          timestamp: new Date().toISOString(),
+        },
+      ],
+      components: [],
+    };
   }
 
   // Calculate totals
@@ -110,13 +340,8 @@ export async function handleStatsCommand(req, res) {
   const fields = [];
 
   matchesStats.forEach((match, index) => {
-    const matchNumber = index + 1;
-    const date = new Date(match.createdAt).toLocaleString("en-US", {
-      month: "short",
-      day: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-    });
+    const matchNumber = page * count + index + 1;
+    const date = formatDate(match.createdAt, language);
 
     // Determine rank emoji
     let rankEmoji = "🏅";
@@ -125,28 +350,50 @@ export async function handleStatsCommand(req, res) {
     else if (match.teamRank === 3) rankEmoji = "🥉";
 
     const rankText = match.teamRank
-      ? `${rankEmoji} Rank #${match.teamRank}`
-      : "❓ Rank Unknown";
+      ? `${rankEmoji} ${t(language, "stats.rank", { rank: match.teamRank })}`
+      : `❓ ${t(language, "stats.rankUnknown")}`;
+
+    // Compact layout: one field per match
+    if (matchesStats.length > DETAILED_MATCH_LIMIT) {
+      fields.push({
+        name: t(language, "stats.match", {
+          number: matchNumber,
+          mode: match.gameMode,
+        }),
+        value: `📍 ${getMapDisplayName(
+          match.mapName
+        )} • 🕐 ${date} • ${rankText}\n${t(language, "stats.compact", {
+          damage: Math.round(match.damageDealt),
+          revives: match.revives,
+          kills: match.kills,
+        })}`,
+        inline: false,
+      });
+      return;
+    }
 
     fields.push({
-      name: `🎮 Match ${matchNumber} - ${match.gameMode}`,
+      name: t(language, "stats.match", {
+        number: matchNumber,
+        mode: match.gameMode,
+      }),
       value: `📍 ${getMapDisplayName(match.mapName)} • 🕐 ${date}\n${rankText}`,
       inline: false,
     });
 
     fields.push(
       {
-        name: "💥 Damage",
+        name: t(language, "stats.damage"),
         value: `${Math.round(match.damageDealt)}`,
         inline: true,
       },
       {
-        name: "💊 Revives",
+        name: t(language, "stats.revives"),
         value: `${match.revives}`,
         inline: true,
       },
       {
-        name: "💀 Kills",
+        name: t(language, "stats.kills"),
         value: `${match.kills}`,
         inline: true,
       }
@@ -165,42 +412,210 @@ export async function handleStatsCommand(req, res) {
   // Add summary totals
   fields.push(
     {
-      name: "📈 Total Statistics (3 Matches)",
+      name: t(language, "stats.total", { count: matchesStats.length }),
       value: "━━━━━━━━━━━━━━━━━━━━",
       inline: false,
     },
     {
-      name: "💥 Total Damage",
+      name: t(language, "stats.totalDamage"),
       value: `**${Math.round(totalDamage)}**`,
       inline: true,
     },
     {
-      name: "💊 Total Revives",
+      name: t(language, "stats.totalRevives"),
       value: `**${totalRevives}**`,
       inline: true,
     },
     {
-      name: "💀 Total Kills",
+      name: t(language, "stats.totalKills"),
       value: `**${totalKills}**`,
       inline: true,
     }
   );
 
-  return res.send({
-    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-    data: {
-      embeds: [
-        {
-          title: "📊 PUBG Match Statistics",
-          description: `Recent performance for **${playerData.playerName}**`,
-          color: 0x3498db,
-          fields: fields,
-          footer: {
-            text: `Statistics based on ${matchesStats.length} most recent matches`,
+  return {
+    embeds: [
+      {
+        title: t(language, "stats.title"),
+        description: t(language, "stats.recentPerformance", {
+          name: playerData.playerName,
+        }),
+        color: 0x3498db,
+        fields: fields,
+        footer: {
+          text: `${
+            page > 0 ? t(language, "stats.footer.page", { page: page + 1 }) : ""
+          }${t(
+            language,
+            page > 0 ? "stats.footer.older" : "stats.footer.recent",
+            {
+              count: matchesStats.length,
+              filter: hasFilter ? `${filterText} ` : "",
+            }
+          )}`,
+        },
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    components: buildStatsComponents(
+      ownerId,
+      filters,
+      matchesStats,
+      hasMore,
+      language
+    ),
+  };
+}
+
+/**
+ * Build the detailed stats embed of one match
+ */
+async function buildMatchStatsMessage(playerData, matchId, language) {
+  const matches = await pubgApi.getPlayerMatchesStats(
+    playerData.playerId,
+    [matchId],
+    playerData.shard
+  );
+  // Matches the player isn't in are left out, so an empty list is a 404
+  const match = matches.error ? null : matches[0];
+
+  if (!match) {
+    return buildErrorMessage(
+      matches.error ? matches : notFoundError(RESOURCES.MATCH),
+      {
+        title: t(language, "stats.matchFailed"),
+        description: t(language, "stats.matchFailedDescription", {
+          matchId,
+          name: playerData.playerName,
+        }),
+        language,
+      }
+    );
+  }
+
+  const date = formatDate(match.createdAt, language);
+
+  return {
+    embeds: [
+      {
+        title: `🎮 ${getMapDisplayName(match.mapName)} - ${match.gameMode}`,
+        description: t(language, "stats.matchDescription", {
+          name: playerData.playerName,
+          date,
+        }),
+        color: match.teamWon ? 0x27ae60 : 0x3498db,
+        fields: [
+          {
+            name: t(language, "stats.detail.rank"),
+            value: match.teamRank
+              ? `#${match.teamRank}${match.teamWon ? " 🍗" : ""}`
+              : t(language, "common.unknown"),
+            inline: true,
           },
-          timestamp: new Date().toISOString(),
+          {
+            name: t(language, "stats.kills"),
+            value: `${match.kills}`,
+            inline: true,
+          },
+          {
+            name: t(language, "stats.detail.headshots"),
+            value: `${match.headshotKills}`,
+            inline: true,
+          },
+          {
+            name: t(language, "stats.detail.assists"),
+            value: `${match.assists}`,
+            inline: true,
+          },
+          {
+            name: t(language, "stats.detail.knocks"),
+            value: `${match.DBNOs}`,
+            inline: true,
+          },
+          {
+            name: t(language, "stats.damage"),
+            value: `${Math.round(match.damageDealt)}`,
+            inline: true,
+          },
+          {
+            name: t(language, "stats.revives"),
+            value: `${match.revives}`,
+            inline: true,
+          },
+          {
+            name: t(language, "stats.detail.heals"),
+            value: `${match.heals}`,
+            inline: true,
+          },
+          {
+            name: t(language, "stats.detail.survived"),
+            value: formatDuration(match.timeSurvived),
+            inline: true,
+          },
+          {
+            name: t(language, "stats.detail.walked"),
+            value: `${(match.walkDistance / 1000).toFixed(2)} km`,
+            inline: true,
+          },
+          {
+            name: t(language, "stats.detail.drove"),
+            value: `${(match.rideDistance / 1000).toFixed(2)} km`,
+            inline: true,
+          },
+        ],
+        footer: {
+          text: t(language, "stats.detail.footer", { matchId: match.matchId }),
         },
-      ],
-    },
-  });
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
 }
+
+/**
+ * /sting command declaration
+ */
+export const stingCommand = {
+  definition: {
+    name: "sting",
+    description: "Display statistics from your most recent matches",
+    type: 1,
+    options: [
+      {
+        type: 4,
+        name: "count",
+        description: "Number of matches to show (default: 3)",
+        required: false,
+        min_value: 1,
+        max_value: 10,
+      },
+      {
+        type: 3,
+        name: "mode",
+        description: "Only show matches of this game mode",
+        required: false,
+        choices: GAME_MODE_CHOICES,
+      },
+      {
+        type: 3,
+        name: "map",
+        description: "Only show matches on this map",
+        required: false,
+        choices: getMapChoices(),
+      },
+      {
+        type: 5,
+        name: "refresh",
+        description: "Skip cached data and fetch your latest matches",
+        required: false,
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleStatsCommand,
+  components: {
+    sting_page: handleStatsPageComponent,
+    sting_details: handleStatsDetailsComponent,
+  },
+};
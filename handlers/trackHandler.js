@@ -0,0 +1,229 @@
+import {
+  InteractionResponseFlags,
+  InteractionResponseType,
+} from "discord-interactions";
+import {
+  getGuildSettings,
+  getPlayerData,
+  setLastMatchId,
+  updateGuildSettings,
+} from "../utils/storage.js";
+import {
+  PERMISSIONS,
+  getPermissionDisplayName,
+  hasPermission,
+} from "../utils/interaction.js";
+import { getLanguage, t } from "../utils/i18n.js";
+import matchTracker from "../models/match-tracker.js";
+
+// Tracked members listed by /track status (embed fields hold 1024 chars)
+const MAX_LISTED_MEMBERS = 40;
+
+/**
+ * Send a /track response embed
+ */
+function sendTrackEmbed(
+  res,
+  language,
+  { description, color, fields, ephemeral }
+) {
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      embeds: [
+        {
+          title: t(language, "track.title"),
+          description,
+          color,
+          fields,
+          timestamp: new Date().toISOString(),
+        },
+      ],
+      allowed_mentions: { parse: [] },
+      ...(ephemeral ? { flags: InteractionResponseFlags.EPHEMERAL } : {}),
+    },
+  });
+}
+
+/**
+ * Handle /track command - Announce members' new matches to a channel
+ * Subcommands: channel, on, off, status
+ */
+export async function handleTrackCommand(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const guildId = req.body.guild_id;
+  const [subcommand] = req.body.data.options || [];
+  const settings = getGuildSettings(guildId);
+  const language = getLanguage(req);
+
+  switch (subcommand?.name) {
+    case "channel": {
+      if (!hasPermission(req, PERMISSIONS.MANAGE_GUILD)) {
+        return sendTrackEmbed(res, language, {
+          description: t(language, "track.channelPermission", {
+            permission: getPermissionDisplayName(
+              PERMISSIONS.MANAGE_GUILD,
+              language
+            ),
+          }),
+          color: 0xe74c3c,
+          ephemeral: true,
+        });
+      }
+
+      const channelId = subcommand.options?.find(
+        (option) => option.name === "channel"
+      )?.value;
+      updateGuildSettings(guildId, { trackChannelId: channelId });
+
+      return sendTrackEmbed(res, language, {
+        description: t(language, "track.channelSet", { channelId }),
+        color: 0x27ae60,
+      });
+    }
+
+    case "on": {
+      const playerData = getPlayerData(userId);
+      if (!playerData) {
+        return sendTrackEmbed(res, language, {
+          color: 0xe74c3c,
+          fields: [
+            {
+              name: t(language, "common.notRegistered.name"),
+              value: t(language, "common.notRegistered.value"),
+              inline: false,
+            },
+          ],
+          ephemeral: true,
+        });
+      }
+
+      if (!settings.trackedUserIds.includes(userId)) {
+        // Start from the next match instead of announcing old ones
+        if (!matchTracker.getSubscriptions().has(userId)) {
+          setLastMatchId(userId, null);
+        }
+        updateGuildSettings(guildId, {
+          trackedUserIds: [...settings.trackedUserIds, userId],
+        });
+      }
+
+      return sendTrackEmbed(res, language, {
+        description: settings.trackChannelId
+          ? t(language, "track.on", {
+              name: playerData.playerName,
+              channelId: settings.trackChannelId,
+            })
+          : t(language, "track.onNoChannel", { name: playerData.playerName }),
+        color: settings.trackChannelId ? 0x27ae60 : 0xf39c12,
+      });
+    }
+
+    case "off": {
+      updateGuildSettings(guildId, {
+        trackedUserIds: settings.trackedUserIds.filter((id) => id !== userId),
+      });
+
+      return sendTrackEmbed(res, language, {
+        description: t(language, "track.off"),
+        color: 0x3498db,
+        ephemeral: true,
+      });
+    }
+
+    case "status":
+    default: {
+      const { intervalMs, lastPollAt } = matchTracker.getStatus();
+      const members = settings.trackedUserIds
+        .slice(0, MAX_LISTED_MEMBERS)
+        .map((id) => `<@${id}>`);
+      if (settings.trackedUserIds.length > MAX_LISTED_MEMBERS) {
+        members.push(
+          t(language, "common.more", {
+            count: settings.trackedUserIds.length - MAX_LISTED_MEMBERS,
+          })
+        );
+      }
+
+      return sendTrackEmbed(res, language, {
+        color: 0x3498db,
+        fields: [
+          {
+            name: t(language, "track.channel"),
+            value: settings.trackChannelId
+              ? `<#${settings.trackChannelId}>`
+              : t(language, "track.noChannel"),
+            inline: true,
+          },
+          {
+            name: t(language, "track.interval"),
+            value: t(language, "track.intervalValue", {
+              minutes: Math.round(intervalMs / 60000),
+            }),
+            inline: true,
+          },
+          {
+            name: t(language, "track.lastCheck"),
+            value: lastPollAt
+              ? `<t:${Math.floor(new Date(lastPollAt).getTime() / 1000)}:R>`
+              : t(language, "track.notYet"),
+            inline: true,
+          },
+          {
+            name: t(language, "track.members", {
+              count: settings.trackedUserIds.length,
+            }),
+            value: members.join(", ") || t(language, "track.noMembers"),
+            inline: false,
+          },
+        ],
+      });
+    }
+  }
+}
+
+/**
+ * /track command declaration
+ */
+export const trackCommand = {
+  definition: {
+    name: "track",
+    description: "Announce tracked members' new matches in a channel",
+    type: 1,
+    options: [
+      {
+        type: 1,
+        name: "channel",
+        description:
+          "Set the channel new matches are announced in (Manage Server)",
+        options: [
+          {
+            type: 7,
+            name: "channel",
+            description: "Announcement channel",
+            required: true,
+            channel_types: [0, 5],
+          },
+        ],
+      },
+      {
+        type: 1,
+        name: "on",
+        description: "Announce your new matches in this server",
+      },
+      {
+        type: 1,
+        name: "off",
+        description: "Stop announcing your matches in this server",
+      },
+      {
+        type: 1,
+        name: "status",
+        description: "Show the tracking channel and tracked members",
+      },
+    ],
+    integration_types: [0],
+    contexts: [0],
+  },
+  handler: handleTrackCommand,
+};
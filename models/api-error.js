@@ -0,0 +1,118 @@
+// api-error.js - Typed results for failed PUBG API and telemetry requests
+// Failed requests resolve to { error, statusCode, kind, resource, retryAfter }
+// instead of throwing, so callers can check `result.error` and handlers can
+// explain what went wrong with utils/errors.js.
+
+// What went wrong
+const ERROR_KINDS = {
+  NOT_FOUND: "not_found", // The resource (see `resource`) doesn't exist
+  AUTH: "auth", // Missing or invalid API key
+  RATE_LIMITED: "rate_limited", // Still limited after retries, see `retryAfter`
+  UPSTREAM: "upstream", // PUBG API is down or returned a server error
+  TIMEOUT: "timeout", // No response in time
+  UNKNOWN: "unknown", // Anything else (bad request, setup error)
+};
+
+// What was requested, so a 404 can say "Match not found" instead of "Player"
+const RESOURCES = {
+  PLAYER: "player",
+  MATCH: "match",
+  CLAN: "clan",
+  SEASON: "season",
+  STATS: "stats",
+  TELEMETRY: "telemetry",
+};
+
+// Messages for logs and results; handlers show localized text instead
+const NOT_FOUND_MESSAGES = {
+  [RESOURCES.PLAYER]: "Player not found",
+  [RESOURCES.MATCH]: "Match not found",
+  [RESOURCES.CLAN]: "Clan not found",
+  [RESOURCES.SEASON]: "Season not found",
+  [RESOURCES.STATS]: "Stats not found",
+  [RESOURCES.TELEMETRY]: "Telemetry not available",
+};
+
+/**
+ * Build a "not found" result
+ * @param {string} resource - One of RESOURCES
+ * @param {string} message - Overrides the default message
+ * @returns {{error: string, statusCode: number, kind: string, resource: string, retryAfter: null}}
+ */
+function notFoundError(resource, message = NOT_FOUND_MESSAGES[resource]) {
+  return {
+    error: message,
+    statusCode: 404,
+    kind: ERROR_KINDS.NOT_FOUND,
+    resource,
+    retryAfter: null,
+  };
+}
+
+/**
+ * Seconds until a rate limited request may be retried
+ * Uses Retry-After, or the X-RateLimit-Reset time the PUBG API sends.
+ * @param {object} headers - Response headers
+ * @returns {number|null}
+ */
+function getRetryAfter(headers = {}) {
+  const retryAfter = Number(headers["retry-after"]);
+  if (Number.isFinite(retryAfter)) {
+    return Math.max(Math.ceil(retryAfter), 1);
+  }
+
+  const reset = Number(headers["x-ratelimit-reset"]); // Unix time in seconds
+  if (Number.isFinite(reset)) {
+    return Math.max(Math.ceil(reset - Date.now() / 1000), 1);
+  }
+  return null;
+}
+
+/**
+ * Classify a failed axios request
+ * @param {Error} error - Axios error
+ * @param {string} resource - One of RESOURCES
+ * @returns {{error: string, statusCode: number, kind: string, resource: string, retryAfter: number|null}}
+ */
+function requestError(error, resource) {
+  const result = (kind, statusCode, message, retryAfter = null) => ({
+    error: message,
+    statusCode,
+    kind,
+    resource,
+    retryAfter,
+  });
+
+  if (error.response) {
+    const { status, statusText, headers } = error.response;
+
+    if (status === 404) {
+      return notFoundError(resource);
+    }
+    if (status === 401 || status === 403) {
+      return result(ERROR_KINDS.AUTH, status, "Invalid API key");
+    }
+    if (status === 429) {
+      return result(
+        ERROR_KINDS.RATE_LIMITED,
+        status,
+        "Rate limit exceeded",
+        getRetryAfter(headers)
+      );
+    }
+    if (status >= 500) {
+      return result(ERROR_KINDS.UPSTREAM, status, `API error: ${statusText}`);
+    }
+    return result(ERROR_KINDS.UNKNOWN, status, `API error: ${statusText}`);
+  }
+
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return result(ERROR_KINDS.TIMEOUT, 504, "Request timed out");
+  }
+  if (error.request) {
+    return result(ERROR_KINDS.UPSTREAM, 503, "No response from server");
+  }
+  return result(ERROR_KINDS.UNKNOWN, 500, "Failed to make request");
+}
+
+export { ERROR_KINDS, RESOURCES, notFoundError, requestError };
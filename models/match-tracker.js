@@ -0,0 +1,293 @@
+// match-tracker.js - Background poller that announces tracked players' new matches
+import { DiscordRequest, getMapDisplayName } from "../utils/helper.js";
+import { getGameModeDisplayName } from "../utils/stats.js";
+import {
+  getAllGuildSettings,
+  getAllPlayerData,
+  setLastMatchId,
+} from "../utils/storage.js";
+import { DEFAULT_LANGUAGE, isValidLanguage, t } from "../utils/i18n.js";
+import pubgApi from "./pubg-api.js";
+
+// How often tracked players are checked for new matches
+const POLL_INTERVAL =
+  Number(process.env.TRACK_POLL_INTERVAL_MS) || 5 * 60 * 1000; // 5 minutes
+// Most matches announced per player per poll; older ones are skipped
+const MAX_ANNOUNCED_MATCHES = 3;
+
+/**
+ * Match tracker - Singleton pattern
+ * Every poll fetches the tracked players 10 per request through the rate
+ * limited PUBG API client, compares their match list with the last seen
+ * match stored per registration, and posts a summary of every new match to
+ * each subscribed guild's track channel, in the language set with
+ * /admin language.
+ */
+class MatchTracker {
+  static instance = null;
+
+  constructor() {
+    if (MatchTracker.instance) {
+      return MatchTracker.instance;
+    }
+
+    this.timer = null;
+    this.polling = false;
+    this.lastPollAt = null;
+
+    MatchTracker.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {MatchTracker}
+   */
+  static getInstance() {
+    if (!MatchTracker.instance) {
+      MatchTracker.instance = new MatchTracker();
+    }
+    return MatchTracker.instance;
+  }
+
+  /**
+   * Start polling in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(
+      `🛰️ Match tracker started (every ${Math.round(POLL_INTERVAL / 1000)}s)`
+    );
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL);
+    // Don't keep the process alive just for polling
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get tracked users and the channels their matches are announced in
+   * @returns {Map<string, {record: object, channels: {channelId: string, language: string}[]}>} Keyed by Discord user ID
+   */
+  getSubscriptions() {
+    const players = getAllPlayerData();
+    const subscriptions = new Map();
+
+    Object.values(getAllGuildSettings()).forEach((settings) => {
+      if (!settings.trackChannelId) {
+        return;
+      }
+      // Announcements have no member locale to follow
+      const language = isValidLanguage(settings.locale)
+        ? settings.locale
+        : DEFAULT_LANGUAGE;
+
+      settings.trackedUserIds.forEach((userId) => {
+        const record = players[userId];
+        if (!record) {
+          return;
+        }
+
+        if (!subscriptions.has(userId)) {
+          subscriptions.set(userId, { record, channels: [] });
+        }
+        subscriptions.get(userId).channels.push({
+          channelId: settings.trackChannelId,
+          language,
+        });
+      });
+    });
+
+    return subscriptions;
+  }
+
+  /**
+   * Check every tracked player once
+   * Skipped while a previous poll is still running, or while interactive
+   * requests are waiting for the rate limit.
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    if (pubgApi.getQueueStatus().queueDepth > 0) {
+      console.log("⏭️ Match tracker poll skipped, PUBG API queue is busy");
+      return;
+    }
+
+    this.polling = true;
+    try {
+      const subscriptions = this.getSubscriptions();
+
+      // Players are fetched per platform, 10 per request
+      const byShard = {};
+      subscriptions.forEach((subscription, userId) => {
+        (byShard[subscription.record.shard] ||= []).push([
+          userId,
+          subscription,
+        ]);
+      });
+
+      for (const [shard, entries] of Object.entries(byShard)) {
+        const players = await pubgApi.getPlayersByIds(
+          entries.map(([, { record }]) => record.playerId),
+          shard
+        );
+        if (players.error) {
+          console.error(`❌ Match tracker poll failed: ${players.error}`);
+          continue;
+        }
+
+        const playersById = Object.fromEntries(players.map((p) => [p.id, p]));
+
+        for (const [userId, subscription] of entries) {
+          const player = playersById[subscription.record.playerId];
+          if (player) {
+            await this.checkPlayer(userId, subscription, player);
+          }
+        }
+      }
+
+      this.lastPollAt = new Date().toISOString();
+    } catch (error) {
+      console.error("❌ Match tracker poll failed:", error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Announce a player's matches played since the last seen match
+   * @param {string} userId - Discord user ID
+   * @param {{record: object, channels: {channelId: string, language: string}[]}} subscription
+   * @param {object} player - Player from PubgApi.getPlayersByIds
+   */
+  async checkPlayer(userId, { record, channels }, player) {
+    const [latestMatchId] = player.matchIds;
+    if (!latestMatchId || latestMatchId === record.lastMatchId) {
+      return;
+    }
+
+    // The first poll after subscribing only records where we are
+    if (!record.lastMatchId) {
+      setLastMatchId(userId, latestMatchId);
+      return;
+    }
+
+    // Match IDs are newest first
+    const lastSeenIndex = player.matchIds.indexOf(record.lastMatchId);
+    const newMatchIds = player.matchIds
+      .slice(0, lastSeenIndex === -1 ? MAX_ANNOUNCED_MATCHES : lastSeenIndex)
+      .slice(0, MAX_ANNOUNCED_MATCHES)
+      .reverse();
+
+    const matches = await pubgApi.getPlayerMatchesStats(
+      player.id,
+      newMatchIds,
+      record.shard
+    );
+    if (matches.error) {
+      console.error(
+        `❌ Match tracker could not load matches for ${player.name}: ${matches.error}`
+      );
+      return;
+    }
+
+    for (const match of matches) {
+      for (const { channelId, language } of channels) {
+        const message = {
+          embeds: [buildMatchEmbed(userId, player.name, match, language)],
+          allowed_mentions: { parse: [] },
+        };
+
+        try {
+          await DiscordRequest(`channels/${channelId}/messages`, {
+            method: "POST",
+            body: message,
+          });
+        } catch (error) {
+          // Missing access or a deleted channel shouldn't stop tracking
+          console.error(
+            `❌ Failed to announce match in channel ${channelId}:`,
+            error.message
+          );
+        }
+      }
+    }
+
+    setLastMatchId(userId, latestMatchId);
+    console.log(
+      `📣 Announced ${matches.length} new match(es) for ${player.name}`
+    );
+  }
+
+  /**
+   * Get poller status
+   * @returns {{running: boolean, intervalMs: number, lastPollAt: string|null, trackedPlayers: number}}
+   */
+  getStatus() {
+    return {
+      running: !!this.timer,
+      intervalMs: POLL_INTERVAL,
+      lastPollAt: this.lastPollAt,
+      trackedPlayers: this.getSubscriptions().size,
+    };
+  }
+}
+
+/**
+ * Build the new match announcement embed
+ */
+function buildMatchEmbed(userId, playerName, match, language) {
+  const rankText = match.teamRank ? `#${match.teamRank}` : "?";
+
+  return {
+    title: t(
+      language,
+      match.teamWon ? "track.announcement.win" : "track.announcement.title",
+      { name: playerName }
+    ),
+    description: t(language, "track.announcement.description", {
+      userId,
+      rank: rankText,
+      map: getMapDisplayName(match.mapName),
+      mode: getGameModeDisplayName(match.gameMode),
+    }),
+    color: match.teamWon ? 0xf1c40f : 0x3498db,
+    fields: [
+      {
+        name: t(language, "track.announcement.placement"),
+        value: rankText,
+        inline: true,
+      },
+      {
+        name: t(language, "track.announcement.kills"),
+        value: `${match.kills}`,
+        inline: true,
+      },
+      {
+        name: t(language, "track.announcement.damage"),
+        value: `${Math.round(match.damageDealt)}`,
+        inline: true,
+      },
+    ],
+    footer: {
+      text: t(language, "track.announcement.footer", {
+        matchId: match.matchId,
+      }),
+    },
+    timestamp: match.createdAt,
+  };
+}
+
+// Export singleton instance
+export default MatchTracker.getInstance();
@@ -0,0 +1,249 @@
+// player-refresher.js - Background job that keeps stored PUBG names and clans current
+import { getAllPlayerData, updatePlayerProfile } from "../utils/storage.js";
+import pubgApi from "./pubg-api.js";
+
+// How often every stored player is refreshed
+const REFRESH_INTERVAL =
+  Number(process.env.PLAYER_REFRESH_INTERVAL_MS) || 12 * 60 * 60 * 1000; // 12 hours
+// First run after startup, so restarts don't push the refresh back
+const STARTUP_DELAY = 60 * 1000; // 1 minute
+// Retry of a run skipped because the PUBG API queue was busy
+const BUSY_RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+// Players per request (max IDs per filter[playerIds] request), so a failed
+// request only skips its own players
+const REFRESH_BATCH_SIZE = 10;
+
+/**
+ * Player refresher - Singleton pattern
+ * Registrations store the player name and clan ID seen at registration.
+ * Every run re-fetches the stored players 10 per request through the rate
+ * limited PUBG API client and updates names (keeping the previous ones in
+ * nameHistory) and clan IDs. Runs on a timer and on demand from
+ * /admin refresh.
+ */
+class PlayerRefresher {
+  static instance = null;
+
+  constructor() {
+    if (PlayerRefresher.instance) {
+      return PlayerRefresher.instance;
+    }
+
+    this.timer = null;
+    this.runTimer = null;
+    this.refreshing = false;
+    this.lastRunAt = null;
+
+    PlayerRefresher.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {PlayerRefresher}
+   */
+  static getInstance() {
+    if (!PlayerRefresher.instance) {
+      PlayerRefresher.instance = new PlayerRefresher();
+    }
+    return PlayerRefresher.instance;
+  }
+
+  /**
+   * Start refreshing in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(
+      `🔄 Player refresher started (every ${Math.round(
+        REFRESH_INTERVAL / 60000
+      )} min)`
+    );
+    this.timer = setInterval(() => this.runScheduled(), REFRESH_INTERVAL);
+    // Don't keep the process alive just for refreshing
+    this.timer.unref();
+    this.scheduleRun(STARTUP_DELAY);
+  }
+
+  /**
+   * Stop refreshing
+   */
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.runTimer);
+    this.timer = null;
+    this.runTimer = null;
+  }
+
+  /**
+   * Run once after a delay, replacing an earlier pending run
+   * @param {number} delay - Milliseconds to wait
+   */
+  scheduleRun(delay) {
+    clearTimeout(this.runTimer);
+    this.runTimer = setTimeout(() => this.runScheduled(), delay);
+    this.runTimer.unref();
+  }
+
+  /**
+   * Scheduled run, put off while interactive requests are waiting for the
+   * rate limit (retried after BUSY_RETRY_DELAY, as is a run that throws)
+   * @returns {Promise<void>}
+   */
+  async runScheduled() {
+    clearTimeout(this.runTimer);
+    this.runTimer = null;
+
+    if (pubgApi.getQueueStatus().queueDepth > 0) {
+      console.log(
+        `⏭️ Player refresh skipped, PUBG API queue is busy (retrying in ${Math.round(
+          BUSY_RETRY_DELAY / 60000
+        )} min)`
+      );
+      this.scheduleRun(BUSY_RETRY_DELAY);
+      return;
+    }
+
+    try {
+      const result = await this.refresh();
+      if (result.busy) {
+        return;
+      }
+      console.log(
+        `🔄 Refreshed ${result.checked} players: ${result.renamed.length} renamed, ${result.clanChanges.length} clan changes, ${result.failed.length} failed`
+      );
+    } catch (error) {
+      // Called from timers, so nothing else would catch this
+      console.error("❌ Scheduled player refresh failed:", error);
+      this.scheduleRun(BUSY_RETRY_DELAY);
+    }
+  }
+
+  /**
+   * Re-fetch stored players and update their names and clan IDs
+   * @param {object} options
+   * @param {string[]} options.userIds - Only refresh these Discord users
+   *   (default: every registration)
+   * @returns {Promise<{busy: boolean, checked: number, renamed: Array<{userId: string, from: string, to: string}>, clanChanges: Array<{userId: string, playerName: string, from: string|null, to: string|null}>, missing: string[], failed: string[], error: object|null}>}
+   *   `missing` players weren't returned by the PUBG API (e.g. deleted
+   *   accounts), `failed` ones were in a failed request (see `error`)
+   */
+  async refresh({ userIds = null } = {}) {
+    const result = {
+      busy: this.refreshing,
+      checked: 0,
+      renamed: [],
+      clanChanges: [],
+      missing: [],
+      failed: [],
+      error: null,
+    };
+    if (this.refreshing) {
+      return result;
+    }
+
+    this.refreshing = true;
+    try {
+      const records = getAllPlayerData();
+      const entries = (userIds || Object.keys(records))
+        .filter((userId) => records[userId]?.playerId)
+        .map((userId) => [userId, records[userId]]);
+
+      // Players are fetched per platform
+      const byShard = {};
+      entries.forEach((entry) => {
+        (byShard[entry[1].shard] ||= []).push(entry);
+      });
+
+      for (const [shard, shardEntries] of Object.entries(byShard)) {
+        for (let i = 0; i < shardEntries.length; i += REFRESH_BATCH_SIZE) {
+          await this.refreshBatch(
+            shardEntries.slice(i, i + REFRESH_BATCH_SIZE),
+            shard,
+            result
+          );
+        }
+      }
+
+      this.lastRunAt = new Date().toISOString();
+      return result;
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  /**
+   * Refresh up to 10 players of one platform with a single request
+   * @param {Array<[string, object]>} entries - [Discord user ID, record]
+   * @param {string} shard - Platform shard
+   * @param {object} result - Run result to add to
+   */
+  async refreshBatch(entries, shard, result) {
+    const players = await pubgApi.getPlayersByIds(
+      entries.map(([, record]) => record.playerId),
+      shard,
+      { refresh: true }
+    );
+
+    if (players.error) {
+      console.error(`❌ Player refresh failed on ${shard}: ${players.error}`);
+      result.failed.push(...entries.map(([userId]) => userId));
+      result.error = players;
+      return;
+    }
+
+    const playersById = Object.fromEntries(players.map((p) => [p.id, p]));
+
+    for (const [userId, record] of entries) {
+      const player = playersById[record.playerId];
+      result.checked++;
+
+      if (!player) {
+        result.missing.push(userId);
+        continue;
+      }
+
+      const update = updatePlayerProfile(userId, {
+        playerName: player.name,
+        clanId: player.clanId,
+      });
+      if (!update?.changed) {
+        continue;
+      }
+
+      if (update.renamedFrom) {
+        result.renamed.push({
+          userId,
+          from: update.renamedFrom,
+          to: player.name,
+        });
+      }
+      if (update.clanIdBefore !== (player.clanId || null)) {
+        result.clanChanges.push({
+          userId,
+          playerName: player.name,
+          from: update.clanIdBefore,
+          to: player.clanId || null,
+        });
+      }
+    }
+  }
+
+  /**
+   * Get refresher status
+   * @returns {{running: boolean, intervalMs: number, lastRunAt: string|null, refreshing: boolean}}
+   */
+  getStatus() {
+    return {
+      running: !!this.timer,
+      intervalMs: REFRESH_INTERVAL,
+      lastRunAt: this.lastRunAt,
+      refreshing: this.refreshing,
+    };
+  }
+}
+
+// Export singleton instance
+export default PlayerRefresher.getInstance();
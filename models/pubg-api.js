@@ -1,6 +1,56 @@
 // pubg-api.js - PUBG API integration with Singleton pattern
 import "dotenv/config";
+import path from "path";
 import axios from "axios";
+import { TtlCache, DiskCache } from "../utils/cache.js";
+import { RateLimiter } from "./rate-limiter.js";
+import { RESOURCES, notFoundError, requestError } from "./api-error.js";
+
+// How long lookups stay cached (matches are cached permanently)
+const CACHE_TTL = {
+  player: 60 * 1000, // 1 minute - match list changes after every game
+  clan: 10 * 60 * 1000, // 10 minutes
+  seasons: 60 * 60 * 1000, // 1 hour
+  seasonStats: 5 * 60 * 1000, // 5 minutes
+};
+
+const MATCH_CACHE_DIR = path.resolve("./data/cache/matches");
+const MATCH_CACHE_SIZE = Number(process.env.PUBG_MATCH_CACHE_SIZE) || 200;
+
+// Requests per minute allowed by the API key (default key: 10 RPM)
+const RATE_LIMIT_PER_MINUTE = Number(process.env.PUBG_RATE_LIMIT) || 10;
+const MAX_RETRIES = 3;
+const PLAYER_BATCH_SIZE = 10; // Max IDs per filter[playerIds] request
+const MATCH_SCAN_LIMIT = 30; // Max recent matches scanned when filtering
+const MATCH_SCAN_BATCH_SIZE = 10; // Matches fetched in parallel while scanning
+const RETRY_BASE_DELAY = 1000; // 1 second, doubled on every retry
+// Match details, the only endpoint that doesn't count towards the rate limit
+const MATCH_DETAILS_PATH = /^\/shards\/[^/]+\/matches\/[0-9a-f-]{36}$/;
+// PUBG match IDs are lowercase UUIDs
+const MATCH_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// PUBG clan IDs are "clan." followed by 32 hex digits
+const CLAN_ID_PATTERN = /^clan\.[0-9a-f]{32}$/i;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Check if a string is a PUBG match ID, before it is put in a request path
+ * @param {string} matchId
+ * @returns {boolean}
+ */
+function isValidMatchId(matchId) {
+  return typeof matchId === "string" && MATCH_ID_PATTERN.test(matchId);
+}
+
+/**
+ * Check if a string is a PUBG clan ID, before it is put in a request path
+ * @param {string} clanId
+ * @returns {boolean}
+ */
+function isValidClanId(clanId) {
+  return typeof clanId === "string" && CLAN_ID_PATTERN.test(clanId);
+}
 
 /**
  * PUBG API Client - Singleton pattern
@@ -27,6 +77,21 @@ class PubgApi {
       timeout: 10000, // 10 seconds timeout
     });
 
+    // All rate limited requests are queued through a token bucket
+    this.rateLimiter = new RateLimiter({
+      capacity: RATE_LIMIT_PER_MINUTE,
+      intervalMs: 60 * 1000,
+    });
+
+    // Short-lived cache for player, clan and season lookups
+    this.cache = new TtlCache({ ttlMs: CACHE_TTL.player });
+
+    // Match payloads never change, so they are cached permanently on disk
+    this.matchCache = new DiskCache({
+      dir: MATCH_CACHE_DIR,
+      maxEntries: MATCH_CACHE_SIZE,
+    });
+
     // Add request interceptor for logging
     this.client.interceptors.request.use(
       (config) => {
@@ -81,13 +146,13 @@ class PubgApi {
    * Search for a PUBG player by name
    * @param {string} playerName - The player name to search for
    * @param {string} shard - Platform shard (steam, xbox, psn, kakao, etc.)
-   * @returns {Promise<{id: string, name: string, shard: string, patchVersion: string}|{error: string, statusCode: number}>}
+   * @returns {Promise<{id: string, name: string, shard: string, patchVersion: string, clanId: string|null, matchIds: string[]}|{error: string, statusCode: number, kind: string}>}
    */
   async searchPlayerByName(playerName, shard = "steam") {
     try {
       console.log(`🔍 Searching PUBG player: ${playerName} on ${shard}`);
 
-      const response = await this.client.get(`/shards/${shard}/players`, {
+      const response = await this._get(`/shards/${shard}/players`, {
         params: {
           "filter[playerNames]": playerName,
         },
@@ -96,7 +161,7 @@ class PubgApi {
       // Check if player was found
       if (!response.data.data || response.data.data.length === 0) {
         console.log(`❌ Player not found: ${playerName}`);
-        return { error: "Player not found", statusCode: 404 };
+        return notFoundError(RESOURCES.PLAYER);
       }
 
       const player = response.data.data[0];
@@ -110,9 +175,11 @@ class PubgApi {
         shard: player.attributes.shardId,
         patchVersion: player.attributes.patchVersion,
         clanId: player.attributes?.clanId || null,
+        matchIds:
+          player.relationships?.matches?.data?.map((match) => match.id) || [],
       };
     } catch (error) {
-      return this._handleError(error, playerName);
+      return this._handleError(error, RESOURCES.PLAYER, playerName);
     }
   }
 
@@ -120,15 +187,21 @@ class PubgApi {
    * Get player by ID with match history
    * @param {string} playerId - The player ID
    * @param {string} shard - Platform shard
+   * @param {object} options
+   * @param {boolean} options.refresh - Bypass the cache
    * @returns {Promise<object>}
    */
-  async getPlayerById(playerId, shard = "steam") {
+  async getPlayerById(playerId, shard = "steam", { refresh = false } = {}) {
+    const cacheKey = `player:${shard}:${playerId}`;
+    const cached = this._getCached(cacheKey, refresh);
+    if (cached) {
+      return cached;
+    }
+
     try {
       console.log(`🔍 Fetching player by ID: ${playerId} on ${shard}`);
 
-      const response = await this.client.get(
-        `/shards/${shard}/players/${playerId}`
-      );
+      const response = await this._get(`/shards/${shard}/players/${playerId}`);
 
       const player = response.data.data;
 
@@ -136,15 +209,78 @@ class PubgApi {
       const matchIds =
         player.relationships?.matches?.data?.map((match) => match.id) || [];
 
-      return {
+      const result = {
         id: player.id,
         name: player.attributes.name,
         shard: player.attributes.shardId,
         patchVersion: player.attributes.patchVersion,
+        clanId: player.attributes.clanId || null,
         matchIds: matchIds,
       };
+
+      this.cache.set(cacheKey, result, CACHE_TTL.player);
+      return result;
+    } catch (error) {
+      return this._handleError(error, RESOURCES.PLAYER, playerId);
+    }
+  }
+
+  /**
+   * Get several players by ID with match history, 10 players per request
+   * @param {string[]} playerIds - Player IDs
+   * @param {string} shard - Platform shard
+   * @param {object} options
+   * @param {boolean} options.refresh - Bypass the cache
+   * @returns {Promise<Array<object>|{error: string, statusCode: number, kind: string}>} Players in no particular order; unknown IDs are left out
+   */
+  async getPlayersByIds(playerIds, shard = "steam", { refresh = false } = {}) {
+    const players = [];
+    const missingIds = [];
+
+    for (const playerId of playerIds) {
+      const cached = this._getCached(`player:${shard}:${playerId}`, refresh);
+      if (cached) {
+        players.push(cached);
+      } else {
+        missingIds.push(playerId);
+      }
+    }
+
+    try {
+      for (let i = 0; i < missingIds.length; i += PLAYER_BATCH_SIZE) {
+        const batch = missingIds.slice(i, i + PLAYER_BATCH_SIZE);
+        console.log(`🔍 Fetching ${batch.length} players by ID on ${shard}`);
+
+        const response = await this._get(`/shards/${shard}/players`, {
+          params: {
+            "filter[playerIds]": batch.join(","),
+          },
+        });
+
+        for (const player of response.data.data || []) {
+          const result = {
+            id: player.id,
+            name: player.attributes.name,
+            shard: player.attributes.shardId,
+            patchVersion: player.attributes.patchVersion,
+            clanId: player.attributes.clanId || null,
+            matchIds:
+              player.relationships?.matches?.data?.map((match) => match.id) ||
+              [],
+          };
+
+          this.cache.set(
+            `player:${shard}:${player.id}`,
+            result,
+            CACHE_TTL.player
+          );
+          players.push(result);
+        }
+      }
+
+      return players;
     } catch (error) {
-      return this._handleError(error, playerId);
+      return this._handleError(error, RESOURCES.PLAYER, "players");
     }
   }
 
@@ -152,15 +288,27 @@ class PubgApi {
    * Get match details by match ID
    * @param {string} matchId - The match ID
    * @param {string} shard - Platform shard
+   * @param {object} options
+   * @param {boolean} options.refresh - Bypass the cache
    * @returns {Promise<object>}
    */
-  async getMatchDetails(matchId, shard = "steam") {
+  async getMatchDetails(matchId, shard = "steam", { refresh = false } = {}) {
+    if (!isValidMatchId(matchId)) {
+      return notFoundError(RESOURCES.MATCH, "Invalid match ID");
+    }
+
+    if (!refresh) {
+      const cached = await this.matchCache.get(matchId);
+      if (cached) {
+        console.log(`⚡ Match cache hit: ${matchId}`);
+        return cached;
+      }
+    }
+
     try {
       console.log(`🎯 Fetching match details: ${matchId} on ${shard}`);
 
-      const response = await this.client.get(
-        `/shards/${shard}/matches/${matchId}`
-      );
+      const response = await this._get(`/shards/${shard}/matches/${matchId}`);
 
       const matchData = response.data.data;
       const included = response.data.included || [];
@@ -169,7 +317,7 @@ class PubgApi {
         `✅ Match fetched: ${matchId} - ${matchData.attributes.gameMode}`
       );
 
-      return {
+      const result = {
         matchId: matchData.id,
         gameMode: matchData.attributes.gameMode,
         mapName: matchData.attributes.mapName,
@@ -177,8 +325,11 @@ class PubgApi {
         createdAt: matchData.attributes.createdAt,
         included: included, // Contains participant and roster data
       };
+
+      await this.matchCache.set(matchId, result);
+      return result;
     } catch (error) {
-      return this._handleError(error, matchId);
+      return this._handleError(error, RESOURCES.MATCH, matchId);
     }
   }
 
@@ -187,17 +338,74 @@ class PubgApi {
    * @param {string} playerId - The player ID
    * @param {string} shard - Platform shard
    * @param {number} limit - Number of recent matches to fetch (default 3)
+   * @param {object} options
+   * @param {boolean} options.refresh - Bypass the cache for the player lookup
+   * @param {(stats: object) => boolean} options.filter - Only keep matching
+   *   matches (e.g. by gameMode/mapName); older matches are scanned until
+   *   `limit` matches are found
+   * @param {number} options.offset - Skip this many (matching) recent matches
    * @returns {Promise<Array>}
    */
-  async getRecentMatchesStats(playerId, shard = "steam", limit = 3) {
+  async getRecentMatchesStats(
+    playerId,
+    shard = "steam",
+    limit = 3,
+    { refresh = false, filter = null, offset = 0 } = {}
+  ) {
     try {
       // First, get player to get match IDs
-      const playerData = await this.getPlayerById(playerId, shard);
+      const playerData = await this.getPlayerById(playerId, shard, {
+        refresh,
+      });
       if (playerData.error) {
         return playerData;
       }
 
-      const matchIds = playerData.matchIds.slice(0, limit);
+      if (!filter) {
+        return this.getPlayerMatchesStats(
+          playerId,
+          playerData.matchIds.slice(offset, offset + limit),
+          shard
+        );
+      }
+
+      // Mode/map are only known after fetching each match, so scan in
+      // fixed-size batches (a small `limit` would mean many round trips)
+      const candidates = playerData.matchIds.slice(0, MATCH_SCAN_LIMIT);
+      const stats = [];
+      const wanted = offset + limit;
+
+      for (
+        let i = 0;
+        i < candidates.length && stats.length < wanted;
+        i += MATCH_SCAN_BATCH_SIZE
+      ) {
+        const batch = await this.getPlayerMatchesStats(
+          playerId,
+          candidates.slice(i, i + MATCH_SCAN_BATCH_SIZE),
+          shard
+        );
+        if (batch.error) {
+          return batch;
+        }
+        stats.push(...batch.filter(filter));
+      }
+
+      return stats.slice(offset, wanted);
+    } catch (error) {
+      return this._handleError(error, RESOURCES.PLAYER, playerId);
+    }
+  }
+
+  /**
+   * Get a player's stats from the given matches
+   * @param {string} playerId - The player ID
+   * @param {string[]} matchIds - Match IDs to fetch
+   * @param {string} shard - Platform shard
+   * @returns {Promise<Array>}
+   */
+  async getPlayerMatchesStats(playerId, matchIds, shard = "steam") {
+    try {
       console.log(`📊 Fetching stats for ${matchIds.length} recent matches`);
 
       // Fetch all matches in parallel
@@ -249,11 +457,14 @@ class PubgApi {
             damageDealt: stats.damageDealt,
             revives: stats.revives,
             kills: stats.kills,
+            headshotKills: stats.headshotKills,
+            DBNOs: stats.DBNOs,
             heals: stats.heals,
             assists: stats.assists,
             timeSurvived: stats.timeSurvived,
             walkDistance: stats.walkDistance,
             rideDistance: stats.rideDistance,
+            deathType: stats.deathType,
             teamRank: teamRank,
             teamWon: teamWon,
           };
@@ -263,7 +474,7 @@ class PubgApi {
       console.log(`✅ Retrieved stats for ${stats.length} matches`);
       return stats;
     } catch (error) {
-      return this._handleError(error, playerId);
+      return this._handleError(error, RESOURCES.MATCH, playerId);
     }
   }
 
@@ -272,42 +483,259 @@ class PubgApi {
    * @param {string} playerId - The player ID
    * @param {string} seasonId - The season ID
    * @param {string} shard - Platform shard
-   * @returns {Promise<object>}
+   * @param {object} options
+   * @param {boolean} options.refresh - Bypass the cache
+   * @returns {Promise<{playerId: string, seasonId: string, gameModeStats: object}|{error: string, statusCode: number, kind: string}>}
    */
-  async getPlayerSeasonStats(playerId, seasonId, shard = "steam") {
+  async getPlayerSeasonStats(
+    playerId,
+    seasonId,
+    shard = "steam",
+    { refresh = false } = {}
+  ) {
+    const cacheKey = `seasonStats:${shard}:${playerId}:${seasonId}`;
+    const cached = this._getCached(cacheKey, refresh);
+    if (cached) {
+      return cached;
+    }
+
     try {
       console.log(
         `📊 Fetching season stats for player: ${playerId}, season: ${seasonId}`
       );
 
-      const response = await this.client.get(
+      const response = await this._get(
         `/shards/${shard}/players/${playerId}/seasons/${seasonId}`
       );
 
-      return response.data;
+      const season = response.data.data;
+
+      const result = {
+        playerId: playerId,
+        seasonId: seasonId,
+        gameModeStats: season.attributes.gameModeStats || {},
+      };
+
+      this.cache.set(cacheKey, result, CACHE_TTL.seasonStats);
+      return result;
+    } catch (error) {
+      return this._handleError(error, RESOURCES.STATS, playerId);
+    }
+  }
+
+  /**
+   * Get one game mode's season stats for several players, 10 players per request
+   * @param {string[]} playerIds - Player IDs
+   * @param {string} seasonId - The season ID
+   * @param {string} gameMode - Game mode (e.g. squad-fpp)
+   * @param {string} shard - Platform shard
+   * @returns {Promise<object|{error: string, statusCode: number, kind: string}>} gameModeStats entries keyed by player ID
+   */
+  async getPlayersSeasonStats(playerIds, seasonId, gameMode, shard = "steam") {
+    const statsByPlayer = {};
+    const missingIds = [];
+
+    for (const playerId of playerIds) {
+      const cacheKey = `seasonModeStats:${shard}:${playerId}:${seasonId}:${gameMode}`;
+      const cached = this._getCached(cacheKey, false);
+      if (cached) {
+        statsByPlayer[playerId] = cached;
+      } else {
+        missingIds.push(playerId);
+      }
+    }
+
+    try {
+      for (let i = 0; i < missingIds.length; i += PLAYER_BATCH_SIZE) {
+        const batch = missingIds.slice(i, i + PLAYER_BATCH_SIZE);
+        console.log(
+          `📊 Fetching ${gameMode} season stats for ${batch.length} players, season: ${seasonId}`
+        );
+
+        const response = await this._get(
+          `/shards/${shard}/seasons/${seasonId}/gameMode/${gameMode}/players`,
+          {
+            params: {
+              "filter[playerIds]": batch.join(","),
+            },
+          }
+        );
+
+        for (const entry of response.data.data || []) {
+          const playerId = entry.relationships.player.data.id;
+          const stats = entry.attributes.gameModeStats[gameMode] || {};
+
+          this.cache.set(
+            `seasonModeStats:${shard}:${playerId}:${seasonId}:${gameMode}`,
+            stats,
+            CACHE_TTL.seasonStats
+          );
+          statsByPlayer[playerId] = stats;
+        }
+      }
+
+      return statsByPlayer;
     } catch (error) {
-      return this._handleError(error, playerId);
+      return this._handleError(error, RESOURCES.STATS, "season stats");
+    }
+  }
+
+  /**
+   * Get player lifetime stats across all seasons
+   * @param {string} playerId - The player ID
+   * @param {string} shard - Platform shard
+   * @returns {Promise<{playerId: string, gameModeStats: object}|{error: string, statusCode: number, kind: string}>}
+   */
+  async getPlayerLifetimeStats(playerId, shard = "steam") {
+    try {
+      console.log(`📊 Fetching lifetime stats for player: ${playerId}`);
+
+      const response = await this._get(
+        `/shards/${shard}/players/${playerId}/seasons/lifetime`
+      );
+
+      const lifetime = response.data.data;
+
+      return {
+        playerId: playerId,
+        gameModeStats: lifetime.attributes.gameModeStats || {},
+      };
+    } catch (error) {
+      return this._handleError(error, RESOURCES.STATS, playerId);
     }
   }
 
   /**
    * Get list of available seasons
    * @param {string} shard - Platform shard
+   * @param {object} options
+   * @param {boolean} options.refresh - Bypass the cache
    * @returns {Promise<Array>}
    */
-  async getSeasons(shard = "steam") {
+  async getSeasons(shard = "steam", { refresh = false } = {}) {
+    const cacheKey = `seasons:${shard}`;
+    const cached = this._getCached(cacheKey, refresh);
+    if (cached) {
+      return cached;
+    }
+
     try {
       console.log(`📅 Fetching seasons for ${shard}`);
 
-      const response = await this.client.get(`/shards/${shard}/seasons`);
+      const response = await this._get(`/shards/${shard}/seasons`);
 
-      return response.data.data.map((season) => ({
+      const seasons = response.data.data.map((season) => ({
         id: season.id,
         isCurrentSeason: season.attributes.isCurrentSeason,
         isOffseason: season.attributes.isOffseason,
       }));
+
+      this.cache.set(cacheKey, seasons, CACHE_TTL.seasons);
+      return seasons;
+    } catch (error) {
+      return this._handleError(error, RESOURCES.SEASON, "seasons");
+    }
+  }
+
+  /**
+   * Get the current season
+   * @param {string} shard - Platform shard
+   * @returns {Promise<{id: string, isCurrentSeason: boolean, isOffseason: boolean}|{error: string, statusCode: number, kind: string}>}
+   */
+  async getCurrentSeason(shard = "steam") {
+    const seasons = await this.getSeasons(shard);
+    if (seasons.error) {
+      return seasons;
+    }
+
+    const current = seasons.find((season) => season.isCurrentSeason);
+    if (!current) {
+      return notFoundError(RESOURCES.SEASON, "No current season");
+    }
+
+    return current;
+  }
+
+  /**
+   * Get a season by ID, or the current season when no ID is given
+   * @param {string|null} seasonId - The season ID
+   * @param {string} shard - Platform shard
+   * @returns {Promise<{id: string, isCurrentSeason: boolean, isOffseason: boolean}|{error: string, statusCode: number, kind: string}>}
+   */
+  async getSeason(seasonId = null, shard = "steam") {
+    if (!seasonId) {
+      return this.getCurrentSeason(shard);
+    }
+
+    const seasons = await this.getSeasons(shard);
+    if (seasons.error) {
+      return seasons;
+    }
+
+    const season = seasons.find((s) => s.id === seasonId);
+    if (!season) {
+      return notFoundError(RESOURCES.SEASON, `Unknown season: ${seasonId}`);
+    }
+
+    return season;
+  }
+
+  /**
+   * Get player ranked stats for a season
+   * @param {string} playerId - The player ID
+   * @param {string} seasonId - The season ID
+   * @param {string} shard - Platform shard
+   * @returns {Promise<{playerId: string, seasonId: string, modes: object}|{error: string, statusCode: number, kind: string}>}
+   */
+  async getPlayerRankedStats(playerId, seasonId, shard = "steam") {
+    try {
+      console.log(
+        `🏅 Fetching ranked stats for player: ${playerId}, season: ${seasonId}`
+      );
+
+      const response = await this._get(
+        `/shards/${shard}/players/${playerId}/seasons/${seasonId}/ranked`
+      );
+
+      const rankedStats =
+        response.data.data.attributes.rankedGameModeStats || {};
+
+      // Keep only the fields the bot displays, keyed by game mode
+      const modes = Object.fromEntries(
+        Object.entries(rankedStats).map(([mode, stats]) => [
+          mode,
+          {
+            currentTier: {
+              tier: stats.currentTier?.tier || "Unranked",
+              subTier: stats.currentTier?.subTier || "",
+            },
+            currentRankPoint: stats.currentRankPoint || 0,
+            bestTier: {
+              tier: stats.bestTier?.tier || "Unranked",
+              subTier: stats.bestTier?.subTier || "",
+            },
+            bestRankPoint: stats.bestRankPoint || 0,
+            roundsPlayed: stats.roundsPlayed || 0,
+            wins: stats.wins || 0,
+            kills: stats.kills || 0,
+            deaths: stats.deaths || 0,
+            assists: stats.assists || 0,
+            kda: stats.kda || 0,
+            avgRank: stats.avgRank || 0,
+            damageDealt: stats.damageDealt || 0,
+            top10Ratio: stats.top10Ratio || 0,
+            winRatio: stats.winRatio || 0,
+          },
+        ])
+      );
+
+      return {
+        playerId: playerId,
+        seasonId: seasonId,
+        modes: modes,
+      };
     } catch (error) {
-      return this._handleError(error, "seasons");
+      return this._handleError(error, RESOURCES.STATS, playerId);
     }
   }
 
@@ -315,15 +743,25 @@ class PubgApi {
    * Get clan information by clan ID
    * @param {string} clanId - The clan ID
    * @param {string} shard - Platform shard
-   * @returns {Promise<{id: string, name: string, tag: string, level: number}|{error: string, statusCode: number}>}
+   * @param {object} options
+   * @param {boolean} options.refresh - Bypass the cache
+   * @returns {Promise<{id: string, name: string, tag: string, level: number}|{error: string, statusCode: number, kind: string}>}
    */
-  async getClanInfo(clanId, shard = "steam") {
+  async getClanInfo(clanId, shard = "steam", { refresh = false } = {}) {
+    if (!isValidClanId(clanId)) {
+      return notFoundError(RESOURCES.CLAN, "Invalid clan ID");
+    }
+
+    const cacheKey = `clan:${shard}:${clanId}`;
+    const cached = this._getCached(cacheKey, refresh);
+    if (cached) {
+      return cached;
+    }
+
     try {
       console.log(`🏆 Fetching clan info: ${clanId} on ${shard}`);
 
-      const response = await this.client.get(
-        `/shards/${shard}/clans/${clanId}`
-      );
+      const response = await this._get(`/shards/${shard}/clans/${clanId}`);
 
       const clan = response.data.data;
 
@@ -331,53 +769,117 @@ class PubgApi {
         `✅ Found clan: ${clan.attributes.clanName} [${clan.attributes.clanTag}]`
       );
 
-      return {
+      const result = {
         id: clan.id,
         name: clan.attributes.clanName,
         tag: clan.attributes.clanTag,
         level: clan.attributes.clanLevel,
         memberCount: clan.attributes.clanMemberCount,
       };
+
+      this.cache.set(cacheKey, result, CACHE_TTL.clan);
+      return result;
     } catch (error) {
-      return this._handleError(error, clanId);
+      return this._handleError(error, RESOURCES.CLAN, clanId);
     }
   }
 
+  /**
+   * GET request through the rate limiter, retrying 429 and 5xx responses
+   * @private
+   * @param {string} url - Request URL relative to the base URL
+   * @param {object} config - Axios request config
+   * @returns {Promise<object>} Axios response
+   */
+  async _get(url, config = {}) {
+    // Only an exact match details path skips the limiter
+    const rateLimited = !MATCH_DETAILS_PATH.test(url);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = rateLimited
+          ? await this.rateLimiter.schedule(() => this.client.get(url, config))
+          : await this.client.get(url, config);
+
+        if (rateLimited) {
+          this.rateLimiter.updateFromHeaders(response.headers);
+        }
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+
+        if (rateLimited && error.response) {
+          this.rateLimiter.updateFromHeaders(error.response.headers);
+        }
+
+        const retryable = status === 429 || status >= 500;
+        if (!retryable || attempt >= MAX_RETRIES) {
+          throw error;
+        }
+
+        const delay = RETRY_BASE_DELAY * 2 ** attempt;
+        if (status === 429) {
+          // Wait for the reset time if the server sent one
+          const reset = Number(error.response.headers?.["x-ratelimit-reset"]);
+          this.rateLimiter.pauseUntil(
+            Number.isFinite(reset) ? reset * 1000 : Date.now() + delay
+          );
+        }
+
+        console.warn(
+          `🔁 Retrying ${url} after ${status} (attempt ${
+            attempt + 1
+          }/${MAX_RETRIES})`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Get a value from the lookup cache
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {boolean} refresh - Skip the cache and force a fresh request
+   * @returns {*} Cached value or undefined
+   */
+  _getCached(cacheKey, refresh) {
+    if (refresh) {
+      console.log(`🔄 Cache bypassed: ${cacheKey}`);
+      return undefined;
+    }
+
+    const cached = this.cache.get(cacheKey);
+    if (cached) {
+      console.log(`⚡ Cache hit: ${cacheKey}`);
+    }
+    return cached;
+  }
+
   /**
    * Handle API errors
    * @private
    * @param {Error} error - The error object
+   * @param {string} resource - What was requested (one of RESOURCES)
    * @param {string} context - Context information for logging
-   * @returns {{error: string, statusCode: number}}
+   * @returns {{error: string, statusCode: number, kind: string, resource: string, retryAfter: number|null}}
    */
-  _handleError(error, context = "") {
-    if (error.response) {
-      const status = error.response.status;
-      const statusText = error.response.statusText;
+  _handleError(error, resource, context = "") {
+    const result = requestError(error, resource);
 
+    if (error.response) {
       console.error(
-        `❌ PUBG API Error (${status}) for ${context}: ${statusText}`
+        `❌ PUBG API Error (${result.statusCode}) for ${context}: ${error.response.statusText}`
       );
-
-      switch (status) {
-        case 404:
-          return { error: "Player not found", statusCode: 404 };
-        case 401:
-          return { error: "Invalid API key", statusCode: 401 };
-        case 429:
-          return { error: "Rate limit exceeded", statusCode: 429 };
-        case 415:
-          return { error: "Unsupported media type", statusCode: 415 };
-        default:
-          return { error: `API error: ${statusText}`, statusCode: status };
-      }
     } else if (error.request) {
-      console.error("❌ No response from PUBG API");
-      return { error: "No response from server", statusCode: 503 };
+      console.error(
+        `❌ No response from PUBG API for ${context}: ${result.error}`
+      );
     } else {
       console.error("❌ Request setup error:", error.message);
-      return { error: "Failed to make request", statusCode: 500 };
     }
+
+    return result;
   }
 
   /**
@@ -388,6 +890,28 @@ class PubgApi {
     return !!(this.apiKey && this.baseURL);
   }
 
+  /**
+   * Get cache hit/miss counters
+   * @returns {{lookups: {hits: number, misses: number, size: number}, matches: {hits: number, misses: number, size: number}}}
+   */
+  getCacheStats() {
+    return {
+      lookups: this.cache.getStats(),
+      matches: this.matchCache.getStats(),
+    };
+  }
+
+  /**
+   * Get request queue status, so handlers can tell users they are waiting
+   * @returns {{queueDepth: number, estimatedWaitMs: number}}
+   */
+  getQueueStatus() {
+    return {
+      queueDepth: this.rateLimiter.getQueueDepth(),
+      estimatedWaitMs: this.rateLimiter.estimateWaitMs(),
+    };
+  }
+
   /**
    * Get API configuration status
    * @returns {{configured: boolean, hasApiKey: boolean, baseURL: string}}
@@ -405,4 +929,4 @@ class PubgApi {
 export default PubgApi.getInstance();
 
 // Also export class for testing purposes
-export { PubgApi };
+export { PubgApi, isValidClanId, isValidMatchId };
@@ -0,0 +1,128 @@
+// rate-limiter.js - Token bucket request scheduler for the PUBG API
+
+/**
+ * Token bucket rate limiter with a FIFO queue.
+ * Tokens refill continuously up to `capacity` over `intervalMs`. The bucket is
+ * kept in sync with the server through the X-RateLimit-* response headers.
+ */
+class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {number} options.capacity - Requests allowed per interval
+   * @param {number} options.intervalMs - Interval length in milliseconds
+   */
+  constructor({ capacity = 10, intervalMs = 60 * 1000 } = {}) {
+    this.capacity = capacity;
+    this.intervalMs = intervalMs;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Queue a task; it runs once a token is available
+   * @param {() => Promise<*>} task
+   * @returns {Promise<*>} Resolves/rejects with the task result
+   */
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this._drain();
+    });
+  }
+
+  /**
+   * Sync the bucket with the server's rate limit headers
+   * @param {object} headers - Response headers
+   */
+  updateFromHeaders(headers = {}) {
+    const remaining = Number(headers["x-ratelimit-remaining"]);
+    const reset = Number(headers["x-ratelimit-reset"]); // Unix time in seconds
+
+    if (Number.isFinite(remaining)) {
+      this._refill();
+      this.tokens = Math.min(this.tokens, remaining);
+    }
+
+    if (remaining === 0 && Number.isFinite(reset)) {
+      this.pauseUntil(reset * 1000);
+    }
+  }
+
+  /**
+   * Stop issuing requests until the given time
+   * @param {number} timestamp - Epoch milliseconds
+   */
+  pauseUntil(timestamp) {
+    if (timestamp > this.pausedUntil) {
+      this.pausedUntil = timestamp;
+      console.warn(
+        `⏸️ PUBG API rate limit reached, pausing for ${Math.ceil(
+          (timestamp - Date.now()) / 1000
+        )}s`
+      );
+    }
+  }
+
+  /**
+   * Number of requests waiting for a token
+   * @returns {number}
+   */
+  getQueueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * Rough time until a newly queued request would run
+   * @returns {number} Milliseconds
+   */
+  estimateWaitMs() {
+    this._refill();
+    const pauseMs = Math.max(0, this.pausedUntil - Date.now());
+    const missingTokens = this.queue.length + 1 - Math.floor(this.tokens);
+    const refillMs =
+      missingTokens > 0 ? (missingTokens * this.intervalMs) / this.capacity : 0;
+    return pauseMs + refillMs;
+  }
+
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (elapsed * this.capacity) / this.intervalMs
+    );
+    this.lastRefill = now;
+  }
+
+  _drain() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.queue.length > 0) {
+      this._refill();
+
+      const pauseMs = this.pausedUntil - Date.now();
+      if (pauseMs > 0 || this.tokens < 1) {
+        const waitMs =
+          pauseMs > 0
+            ? pauseMs
+            : ((1 - this.tokens) * this.intervalMs) / this.capacity;
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this._drain();
+        }, Math.ceil(waitMs));
+        return;
+      }
+
+      this.tokens -= 1;
+      const { task, resolve, reject } = this.queue.shift();
+      task().then(resolve, reject);
+    }
+  }
+}
+
+export { RateLimiter };
@@ -0,0 +1,350 @@
+// telemetry.js - PUBG match telemetry download, caching and parsing
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import axios from "axios";
+import { DiskCache } from "../utils/cache.js";
+import { RESOURCES, notFoundError, requestError } from "./api-error.js";
+
+const TELEMETRY_CACHE_DIR = path.resolve("./data/cache/telemetry");
+const TELEMETRY_CACHE_SIZE =
+  Number(process.env.PUBG_TELEMETRY_CACHE_SIZE) || 20;
+
+// Telemetry files are large, so only the events we parse are kept
+const TELEMETRY_EVENTS = [
+  "LogMatchStart",
+  "LogPlayerKill",
+  "LogPlayerKillV2",
+  "LogPlayerMakeGroggy",
+  "LogPlayerTakeDamage",
+];
+
+// Telemetry damage causer -> display name
+const WEAPON_NAMES = {
+  WeapAK47_C: "AKM",
+  WeapAUG_C: "AUG",
+  WeapAWM_C: "AWM",
+  WeapBerylM762_C: "Beryl M762",
+  WeapBizonPP19_C: "PP-19 Bizon",
+  WeapCrossbow_1_C: "Crossbow",
+  WeapDP28_C: "DP-28",
+  WeapDragunov_C: "Dragunov",
+  WeapFNFal_C: "SLR",
+  WeapG36C_C: "G36C",
+  WeapGroza_C: "Groza",
+  WeapHK416_C: "M416",
+  WeapK2_C: "K2",
+  WeapKar98k_C: "Kar98k",
+  WeapL6_C: "Lynx AMR",
+  WeapM16A4_C: "M16A4",
+  WeapM24_C: "M24",
+  WeapM249_C: "M249",
+  WeapMini14_C: "Mini 14",
+  WeapMk12_C: "Mk12",
+  WeapMk14_C: "Mk14",
+  WeapMk47Mutant_C: "Mk47 Mutant",
+  WeapMosinNagant_C: "Mosin Nagant",
+  WeapMP5K_C: "MP5K",
+  WeapP90_C: "P90",
+  WeapQBU88_C: "QBU",
+  WeapQBZ95_C: "QBZ",
+  WeapSaiga12_C: "S12K",
+  "WeapSCAR-L_C": "SCAR-L",
+  WeapSKS_C: "SKS",
+  WeapThompson_C: "Tommy Gun",
+  WeapUMP_C: "UMP45",
+  WeapUZI_C: "Micro UZI",
+  WeapVector_C: "Vector",
+  WeapVSS_C: "VSS",
+  WeapWin94_C: "Win94",
+  WeapBerreta686_C: "S686",
+  WeapDP12_C: "DBS",
+  WeapWinchester_C: "S1897",
+  WeapPanzerFaust100M1_C: "Panzerfaust",
+  PanzerFaust100M_Projectile_C: "Panzerfaust",
+  ProjGrenade_C: "Frag Grenade",
+  ProjMolotov_C: "Molotov",
+  ProjMolotov_DamageField_Direct_C: "Molotov",
+  PlayerMale_A_C: "Punch",
+  PlayerFemale_A_C: "Punch",
+  BlueZoneBomb_EffectActor_C: "Blue Zone",
+  RedZoneBomb_C: "Red Zone",
+};
+
+/**
+ * Get display name for a telemetry damage causer (e.g. "WeapHK416_C" -> "M416")
+ * @param {string} causer - damageCauserName from telemetry
+ * @returns {string}
+ */
+export function getWeaponDisplayName(causer) {
+  if (!causer) {
+    return "Unknown";
+  }
+  if (WEAPON_NAMES[causer]) {
+    return WEAPON_NAMES[causer];
+  }
+  if (causer.startsWith("BP_")) {
+    return "Vehicle";
+  }
+  return causer.replace(/^(Weap|Item_Weapon_)/, "").replace(/_C$/, "");
+}
+
+/**
+ * Keep only the telemetry events used by parsePlayerTelemetry
+ * @param {Array<object>} events - Raw telemetry events
+ * @returns {Array<object>}
+ */
+export function filterTelemetryEvents(events) {
+  return events.filter((event) => TELEMETRY_EVENTS.includes(event._T));
+}
+
+/**
+ * Load telemetry saved to disk (plain or gzipped JSON), e.g. a test fixture
+ * @param {string} filePath - Path to a .json or .json.gz telemetry file
+ * @returns {Array<object>} Filtered telemetry events
+ */
+export function loadTelemetryFile(filePath) {
+  let raw = fs.readFileSync(filePath);
+  if (filePath.endsWith(".gz")) {
+    raw = zlib.gunzipSync(raw);
+  }
+  return filterTelemetryEvents(JSON.parse(raw.toString("utf8")));
+}
+
+/**
+ * Normalize a kill event (LogPlayerKillV2 or the older LogPlayerKill)
+ */
+function normalizeKill(event) {
+  // V2 nests weapon info per damage step; the killer's info is credited
+  const info =
+    event.killerDamageInfo || event.finishDamageInfo || event.dBNODamageInfo;
+
+  return {
+    killer: event.killer || event.finisher || null,
+    victim: event.victim,
+    causer: info ? info.damageCauserName : event.damageCauserName,
+    reason: info ? info.damageReason : event.damageReason,
+    distance: info ? info.distance : event.distance,
+    time: event._D,
+  };
+}
+
+/**
+ * Extract one player's combat details from match telemetry
+ * Distances are converted from centimeters to meters and times to seconds
+ * since the match started.
+ * @param {Array<object>} events - Telemetry events (raw or filtered)
+ * @param {string} playerId - PUBG account ID of the player
+ * @returns {{kills: Array<object>, knocks: Array<object>, weapons: Array<{name: string, damage: number, kills: number}>, longestKill: number|null, damageDealt: number, damageTaken: number, attackers: Array<{name: string, damage: number}>, killedBy: object|null}}
+ */
+export function parsePlayerTelemetry(events, playerId) {
+  const matchStart = events.find((event) => event._T === "LogMatchStart");
+  const startTime = matchStart ? new Date(matchStart._D).getTime() : null;
+  const secondsIn = (time) =>
+    startTime
+      ? Math.max(0, (new Date(time).getTime() - startTime) / 1000)
+      : null;
+
+  const kills = [];
+  const knocks = [];
+  const weapons = {};
+  const attackers = {};
+  let damageDealt = 0;
+  let damageTaken = 0;
+  let killedBy = null;
+
+  const weaponEntry = (name) =>
+    (weapons[name] ||= { name, damage: 0, kills: 0 });
+
+  // Matches that log LogPlayerKillV2 may also log the same kills as the
+  // older LogPlayerKill, so only one of the two is counted
+  const killEvent = events.some((event) => event._T === "LogPlayerKillV2")
+    ? "LogPlayerKillV2"
+    : "LogPlayerKill";
+
+  events.forEach((event) => {
+    switch (event._T) {
+      case "LogPlayerKill":
+      case "LogPlayerKillV2": {
+        if (event._T !== killEvent) {
+          break;
+        }
+
+        const kill = normalizeKill(event);
+        const entry = {
+          weapon: getWeaponDisplayName(kill.causer),
+          distance: (kill.distance || 0) / 100,
+          headshot: kill.reason === "HeadShot",
+          time: secondsIn(kill.time),
+        };
+
+        if (
+          kill.killer?.accountId === playerId &&
+          kill.victim?.accountId !== playerId
+        ) {
+          kills.push({ ...entry, victim: kill.victim?.name || "Unknown" });
+          weaponEntry(entry.weapon).kills++;
+        } else if (kill.victim?.accountId === playerId) {
+          killedBy = { ...entry, killer: kill.killer?.name || null };
+        }
+        break;
+      }
+
+      case "LogPlayerMakeGroggy":
+        if (
+          event.attacker?.accountId === playerId &&
+          event.victim?.accountId !== playerId
+        ) {
+          knocks.push({
+            victim: event.victim?.name || "Unknown",
+            weapon: getWeaponDisplayName(event.damageCauserName),
+            distance: (event.distance || 0) / 100,
+            time: secondsIn(event._D),
+          });
+        }
+        break;
+
+      case "LogPlayerTakeDamage": {
+        const damage = event.damage || 0;
+        if (damage <= 0) {
+          break;
+        }
+
+        if (
+          event.attacker?.accountId === playerId &&
+          event.victim?.accountId !== playerId
+        ) {
+          damageDealt += damage;
+          weaponEntry(getWeaponDisplayName(event.damageCauserName)).damage +=
+            damage;
+        } else if (event.victim?.accountId === playerId) {
+          damageTaken += damage;
+          // Zone and fall damage have no attacker
+          const name =
+            event.attacker?.name ||
+            getWeaponDisplayName(event.damageCauserName);
+          (attackers[name] ||= { name, damage: 0 }).damage += damage;
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  return {
+    kills,
+    knocks,
+    weapons: Object.values(weapons).sort(
+      (a, b) => b.damage - a.damage || b.kills - a.kills
+    ),
+    longestKill:
+      kills.length > 0 ? Math.max(...kills.map((kill) => kill.distance)) : null,
+    damageDealt,
+    damageTaken,
+    attackers: Object.values(attackers).sort((a, b) => b.damage - a.damage),
+    killedBy,
+  };
+}
+
+/**
+ * Telemetry client - Singleton pattern
+ * Downloads match telemetry from the PUBG CDN and caches it on disk
+ */
+class Telemetry {
+  static instance = null;
+
+  constructor() {
+    if (Telemetry.instance) {
+      return Telemetry.instance;
+    }
+
+    // Telemetry is served from a CDN: no API key and no rate limit
+    this.client = axios.create({
+      headers: { "Accept-Encoding": "gzip" },
+      timeout: 30000, // 30 seconds - files are several MB
+    });
+
+    // Telemetry never changes, so it is cached permanently on disk
+    this.cache = new DiskCache({
+      dir: TELEMETRY_CACHE_DIR,
+      maxEntries: TELEMETRY_CACHE_SIZE,
+    });
+
+    Telemetry.instance = this;
+  }
+
+  /**
+   * Get singleton instance
+   * @returns {Telemetry}
+   */
+  static getInstance() {
+    if (!Telemetry.instance) {
+      Telemetry.instance = new Telemetry();
+    }
+    return Telemetry.instance;
+  }
+
+  /**
+   * Get the telemetry URL from match details
+   * @param {object} match - Match details from PubgApi.getMatchDetails
+   * @returns {string|null}
+   */
+  getTelemetryUrl(match) {
+    const asset = match.included.find((item) => item.type === "asset");
+    return asset?.attributes?.URL || null;
+  }
+
+  /**
+   * Get the (filtered) telemetry events of a match
+   * @param {object} match - Match details from PubgApi.getMatchDetails
+   * @returns {Promise<Array<object>|{error: string, statusCode: number, kind: string}>}
+   */
+  async getMatchTelemetry(match) {
+    const cached = await this.cache.get(match.matchId);
+    if (cached) {
+      console.log(`⚡ Telemetry cache hit: ${match.matchId}`);
+      return cached;
+    }
+
+    const url = this.getTelemetryUrl(match);
+    if (!url) {
+      return notFoundError(RESOURCES.TELEMETRY);
+    }
+
+    try {
+      console.log(`📡 Downloading telemetry: ${match.matchId}`);
+
+      const response = await this.client.get(url);
+      const events = filterTelemetryEvents(response.data);
+
+      console.log(
+        `✅ Telemetry downloaded: ${match.matchId} - ${events.length} events kept`
+      );
+
+      await this.cache.set(match.matchId, events);
+      return events;
+    } catch (error) {
+      console.error(
+        `❌ Telemetry download failed for ${match.matchId}:`,
+        error.message
+      );
+      // The CDN needs no API key; it answers 403 for files it doesn't have
+      return error.response?.status === 403
+        ? notFoundError(RESOURCES.TELEMETRY)
+        : requestError(error, RESOURCES.TELEMETRY);
+    }
+  }
+
+  /**
+   * Get cache hit/miss counters
+   * @returns {{hits: number, misses: number, size: number}}
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+}
+
+// Export singleton instance
+export default Telemetry.getInstance();
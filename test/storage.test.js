@@ -0,0 +1,61 @@
+// Tests for guild scoping in the JSON storage backend
+// Run with `npm test`; data is written to a temporary directory.
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// storage.js keeps its data under ./data, so load it from a scratch directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+process.chdir(dataDir);
+const {
+  addGuildMember,
+  flushStorage,
+  getGuildPlayerData,
+  getPlayerData,
+  removeGuildMember,
+  savePlayerData,
+} = await import("../utils/storage.js");
+
+after(async () => {
+  await flushStorage();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const PLAYER = {
+  playerId: "account.unlinked",
+  playerName: "Unlinked",
+  shard: "steam",
+};
+
+test("an unlinked member stays unlinked after using the bot again", () => {
+  savePlayerData("user-1", PLAYER, "guild-a");
+  addGuildMember("user-1", "guild-b");
+
+  assert.equal(removeGuildMember("user-1", "guild-b"), true);
+  // app.js links the caller on every interaction in a guild
+  assert.equal(addGuildMember("user-1", "guild-b"), false);
+
+  assert.deepEqual(getPlayerData("user-1").guildIds, ["guild-a"]);
+  assert.deepEqual(Object.keys(getGuildPlayerData("guild-b")), []);
+});
+
+test("registering in the guild again undoes the unlink", () => {
+  savePlayerData("user-2", PLAYER, "guild-a");
+  removeGuildMember("user-2", "guild-a");
+
+  savePlayerData("user-2", PLAYER, "guild-a");
+
+  assert.deepEqual(getPlayerData("user-2").guildIds, ["guild-a"]);
+  assert.deepEqual(getPlayerData("user-2").unlinkedGuildIds, []);
+  assert.equal(removeGuildMember("user-2", "guild-a"), true);
+});
+
+test("an unlink only applies to its own guild", () => {
+  savePlayerData("user-3", PLAYER, "guild-a");
+  removeGuildMember("user-3", "guild-a");
+
+  assert.equal(addGuildMember("user-3", "guild-c"), true);
+  assert.deepEqual(getPlayerData("user-3").guildIds, ["guild-c"]);
+});
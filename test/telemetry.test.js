@@ -0,0 +1,97 @@
+// Offline tests for telemetry parsing against a saved fixture
+// Run with `npm test`; no network or API key needed.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import {
+  loadTelemetryFile,
+  parsePlayerTelemetry,
+} from "../models/telemetry.js";
+
+const FIXTURE = new URL("./fixtures/telemetry.json", import.meta.url).pathname;
+const PLAYER_ID = "account.me";
+
+test("loadTelemetryFile keeps only parsed events", () => {
+  const events = loadTelemetryFile(FIXTURE);
+
+  assert.ok(events.length > 0);
+  assert.ok(events.every((event) => event._T !== "LogPlayerPosition"));
+});
+
+test("loadTelemetryFile reads gzipped telemetry", () => {
+  const gzipped = path.join(os.tmpdir(), `telemetry-${process.pid}.json.gz`);
+  fs.writeFileSync(gzipped, zlib.gzipSync(fs.readFileSync(FIXTURE)));
+
+  try {
+    assert.deepEqual(loadTelemetryFile(gzipped), loadTelemetryFile(FIXTURE));
+  } finally {
+    fs.rmSync(gzipped);
+  }
+});
+
+test("parsePlayerTelemetry extracts kills, knocks and weapons", () => {
+  const details = parsePlayerTelemetry(loadTelemetryFile(FIXTURE), PLAYER_ID);
+
+  assert.deepEqual(details.kills, [
+    {
+      weapon: "M416",
+      distance: 52.34,
+      headshot: true,
+      time: 125,
+      victim: "EnemyOne",
+    },
+    {
+      weapon: "Kar98k",
+      distance: 210.5,
+      headshot: false,
+      time: 300,
+      victim: "EnemyTwo",
+    },
+  ]);
+  assert.deepEqual(details.knocks, [
+    { victim: "EnemyOne", weapon: "M416", distance: 48, time: 121 },
+  ]);
+  assert.deepEqual(details.weapons, [
+    { name: "M416", damage: 180, kills: 1 },
+    { name: "Kar98k", damage: 95, kills: 1 },
+  ]);
+  assert.equal(details.longestKill, 210.5);
+  assert.equal(details.damageDealt, 275);
+});
+
+test("parsePlayerTelemetry extracts damage taken and the killer", () => {
+  const details = parsePlayerTelemetry(loadTelemetryFile(FIXTURE), PLAYER_ID);
+
+  assert.equal(details.damageTaken, 70);
+  assert.deepEqual(details.attackers, [
+    { name: "EnemyThree", damage: 60 },
+    { name: "Blue Zone", damage: 10 },
+  ]);
+  assert.deepEqual(details.killedBy, {
+    weapon: "AKM",
+    distance: 15,
+    headshot: false,
+    time: 502,
+    killer: "EnemyThree",
+  });
+});
+
+test("parsePlayerTelemetry counts kills from the older LogPlayerKill", () => {
+  // Matches from before LogPlayerKillV2 only log LogPlayerKill
+  const events = loadTelemetryFile(FIXTURE).filter(
+    (event) => event._T !== "LogPlayerKillV2"
+  );
+  const details = parsePlayerTelemetry(events, PLAYER_ID);
+
+  assert.deepEqual(
+    details.kills.map((kill) => [kill.victim, kill.weapon]),
+    [
+      ["EnemyOne", "M416"],
+      ["EnemyTwo", "Kar98k"],
+    ]
+  );
+  assert.equal(details.killedBy.killer, "EnemyThree");
+});
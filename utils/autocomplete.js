@@ -0,0 +1,165 @@
+// autocomplete.js - Suggestions for slash command options as the user types
+import { InteractionResponseType } from "discord-interactions";
+import { getGuildPlayerData, getPlayerData } from "./storage.js";
+import { getMapDisplayName, getSeasonDisplayName } from "./helper.js";
+import { getGameModeDisplayName } from "./stats.js";
+import { formatDate, getLanguage, t } from "./i18n.js";
+import { DEFAULT_SHARD } from "../config/platforms.js";
+import pubgApi from "../models/pubg-api.js";
+
+// Discord shows at most 25 suggestions
+const MAX_CHOICES = 25;
+// Recent matches suggested for match ID options
+const MAX_SUGGESTED_MATCHES = 10;
+// Discord drops autocomplete responses after 3 seconds. Lookups that take
+// longer keep running and fill the cache for the next keystroke.
+const LOOKUP_TIMEOUT_MS = 2500;
+
+/**
+ * Find the option the user is typing in, looking inside subcommands
+ * @param {Array<object>} options - Interaction data options
+ * @returns {object|undefined} The option with `focused: true`
+ */
+export function getFocusedOption(options = []) {
+  for (const option of options) {
+    if (option.focused) {
+      return option;
+    }
+    const nested = getFocusedOption(option.options);
+    if (nested) {
+      return nested;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Respond to an autocomplete interaction
+ * @param {object} res - Express response
+ * @param {Array<{name: string, value: string}>} choices
+ */
+export function sendAutocompleteChoices(res, choices) {
+  return res.send({
+    type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+    data: { choices: choices.slice(0, MAX_CHOICES) },
+  });
+}
+
+/**
+ * Resolve to null if a lookup takes longer than Discord waits
+ */
+function withTimeout(promise) {
+  return Promise.race([
+    promise,
+    new Promise((resolve) =>
+      setTimeout(() => resolve(null), LOOKUP_TIMEOUT_MS)
+    ),
+  ]);
+}
+
+/**
+ * Suggest the PUBG names of this server's registered members
+ * Matches names containing what has been typed so far.
+ */
+export async function autocompletePlayerNames(req, res) {
+  const query = String(
+    getFocusedOption(req.body.data.options)?.value || ""
+  ).toLowerCase();
+
+  const names = [
+    ...new Set(
+      Object.values(getGuildPlayerData(req.body.guild_id))
+        .map((record) => record.playerName)
+        .filter((name) => name && name.toLowerCase().includes(query))
+    ),
+  ].sort((a, b) => a.localeCompare(b));
+
+  return sendAutocompleteChoices(
+    res,
+    names.map((name) => ({ name, value: name }))
+  );
+}
+
+/**
+ * Suggest the caller's recent matches, labelled with map, mode and time
+ * Matches whose ID or label contains what has been typed so far.
+ */
+export async function autocompleteRecentMatches(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const playerData = getPlayerData(userId);
+  if (!playerData) {
+    return sendAutocompleteChoices(res, []);
+  }
+
+  const options = req.body.data.options || [];
+  const query = String(getFocusedOption(options)?.value || "")
+    .trim()
+    .toLowerCase();
+  const shard =
+    options.find((option) => option.name === "platform")?.value ||
+    playerData.shard ||
+    DEFAULT_SHARD;
+  const language = getLanguage(req);
+
+  const matches = await withTimeout(
+    pubgApi.getRecentMatchesStats(
+      playerData.playerId,
+      shard,
+      MAX_SUGGESTED_MATCHES
+    )
+  );
+  if (!matches || matches.error) {
+    return sendAutocompleteChoices(res, []);
+  }
+
+  const choices = matches
+    .map((match) => ({
+      name: `${getMapDisplayName(match.mapName)} • ${getGameModeDisplayName(
+        match.gameMode
+      )} • ${formatDate(match.createdAt, language)}${
+        match.teamRank ? ` • #${match.teamRank}` : ""
+      }`,
+      value: match.matchId,
+    }))
+    .filter(
+      ({ name, value }) =>
+        value.includes(query) || name.toLowerCase().includes(query)
+    );
+
+  return sendAutocompleteChoices(res, choices);
+}
+
+/**
+ * Suggest seasons of the caller's platform, newest first
+ * Matches seasons whose ID or name contains what has been typed so far.
+ */
+export async function autocompleteSeasons(req, res) {
+  const userId = req.body.member?.user?.id || req.body.user?.id;
+  const shard = getPlayerData(userId)?.shard || DEFAULT_SHARD;
+  const query = String(getFocusedOption(req.body.data.options)?.value || "")
+    .trim()
+    .toLowerCase();
+  const language = getLanguage(req);
+
+  const seasons = await withTimeout(pubgApi.getSeasons(shard));
+  if (!seasons || seasons.error) {
+    return sendAutocompleteChoices(res, []);
+  }
+
+  const choices = [...seasons]
+    .reverse()
+    .map((season) => ({
+      name: season.isCurrentSeason
+        ? t(language, "autocomplete.currentSeason", {
+            name: getSeasonDisplayName(season.id, language),
+          })
+        : getSeasonDisplayName(season.id, language),
+      value: season.id,
+    }))
+    .filter(
+      ({ name, value }) =>
+        value.includes(query) || name.toLowerCase().includes(query)
+    );
+
+  return sendAutocompleteChoices(res, choices);
+}
@@ -0,0 +1,176 @@
+// cache.js - In-memory TTL cache and disk-backed permanent cache
+import fs from "fs";
+import path from "path";
+
+/**
+ * In-memory cache where every entry expires after a TTL
+ */
+export class TtlCache {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlMs - Default time to live in milliseconds
+   * @param {number} options.maxEntries - Oldest entries are evicted past this size
+   */
+  constructor({ ttlMs = 60 * 1000, maxEntries = 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key
+   * @returns {*} Cached value or undefined if missing/expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Cache a value
+   * @param {string} key
+   * @param {*} value
+   * @param {number} ttlMs - Override the default TTL
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    // Map keeps insertion order, so the first key is the oldest
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove a cached value
+   * @param {string} key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Get hit/miss counters
+   * @returns {{hits: number, misses: number, size: number}}
+   */
+  getStats() {
+    return { hits: this.hits, misses: this.misses, size: this.entries.size };
+  }
+}
+
+/**
+ * Permanent cache persisted as one JSON file per key, for data that never
+ * changes once created (e.g. match details). Bounded by entry count; the
+ * least recently used files are deleted first.
+ */
+export class DiskCache {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory to store cache files in
+   * @param {number} options.maxEntries - Maximum number of cached files
+   */
+  constructor({ dir, maxEntries = 200 }) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.hits = 0;
+    this.misses = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    // Rebuild LRU order from file modification times
+    this.keys = new Set(
+      fs
+        .readdirSync(this.dir)
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => ({
+          key: file.slice(0, -".json".length),
+          mtime: fs.statSync(path.join(this.dir, file)).mtimeMs,
+        }))
+        .sort((a, b) => a.mtime - b.mtime)
+        .map(({ key }) => key)
+    );
+  }
+
+  _filePath(key) {
+    // Keys are used as file names, so strip anything path-like
+    return path.join(this.dir, `${key.replace(/[^\w.-]/g, "_")}.json`);
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key
+   * @returns {Promise<*>} Cached value or undefined if missing
+   */
+  async get(key) {
+    if (!this.keys.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+
+    try {
+      const filePath = this._filePath(key);
+      const raw = await fs.promises.readFile(filePath, "utf8");
+
+      // Mark as recently used, both in memory and on disk
+      this.keys.delete(key);
+      this.keys.add(key);
+      const now = new Date();
+      await fs.promises.utimes(filePath, now, now);
+
+      this.hits++;
+      return JSON.parse(raw);
+    } catch (error) {
+      console.error(`❌ Error reading cache entry ${key}:`, error.message);
+      this.keys.delete(key);
+      this.misses++;
+      return undefined;
+    }
+  }
+
+  /**
+   * Cache a value permanently
+   * @param {string} key
+   * @param {*} value
+   */
+  async set(key, value) {
+    try {
+      await fs.promises.writeFile(
+        this._filePath(key),
+        JSON.stringify(value),
+        "utf8"
+      );
+      this.keys.delete(key);
+      this.keys.add(key);
+    } catch (error) {
+      console.error(`❌ Error writing cache entry ${key}:`, error.message);
+      return;
+    }
+
+    // Evict least recently used entries
+    while (this.keys.size > this.maxEntries) {
+      const oldest = this.keys.values().next().value;
+      this.keys.delete(oldest);
+      await fs.promises.rm(this._filePath(oldest), { force: true });
+    }
+  }
+
+  /**
+   * Get hit/miss counters
+   * @returns {{hits: number, misses: number, size: number}}
+   */
+  getStats() {
+    return { hits: this.hits, misses: this.misses, size: this.keys.size };
+  }
+}
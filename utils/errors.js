@@ -0,0 +1,68 @@
+// errors.js - User-facing error embeds for failed PUBG API requests
+import { ERROR_KINDS } from "../models/api-error.js";
+import { DEFAULT_LANGUAGE, t } from "./i18n.js";
+
+/**
+ * Explain why a request failed, in the user's language
+ * Results without a `kind` (handler-made errors) show their message as is.
+ * @param {{error: string, kind?: string, resource?: string, retryAfter?: number|null}} result - Failed result (see models/api-error.js)
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export function describeError(result, language = DEFAULT_LANGUAGE) {
+  switch (result.kind) {
+    case ERROR_KINDS.NOT_FOUND:
+      return t(language, `error.notFound.${result.resource}`);
+    case ERROR_KINDS.AUTH:
+      return t(language, "error.auth");
+    case ERROR_KINDS.RATE_LIMITED:
+      return result.retryAfter
+        ? t(language, "error.rateLimited.retryAfter", {
+            seconds: result.retryAfter,
+          })
+        : t(language, "error.rateLimited");
+    case ERROR_KINDS.UPSTREAM:
+      return t(language, "error.upstream");
+    case ERROR_KINDS.TIMEOUT:
+      return t(language, "error.timeout");
+    case ERROR_KINDS.UNKNOWN:
+      return t(language, "error.unknown", { error: result.error });
+    default:
+      return result.error;
+  }
+}
+
+/**
+ * Build the error message for a failed request
+ * The message is ephemeral: deferResponse only shows it to the caller.
+ * @param {object} result - Failed result ({ error, kind, ... })
+ * @param {object} options
+ * @param {string} options.title - What failed, e.g. "Failed to Load Match"
+ * @param {string} options.description - Which player/match it was about
+ * @param {string} options.language - Language code
+ * @returns {object} Message data
+ */
+export function buildErrorMessage(
+  result,
+  { title, description, language = DEFAULT_LANGUAGE }
+) {
+  return {
+    embeds: [
+      {
+        title: `❌ ${title}`,
+        description,
+        color: 0xe74c3c,
+        fields: [
+          {
+            name: t(language, "common.error"),
+            value: describeError(result, language),
+            inline: false,
+          },
+        ],
+        timestamp: new Date().toISOString(),
+      },
+    ],
+    allowed_mentions: { parse: [] },
+    ephemeral: true,
+  };
+}
@@ -1,4 +1,5 @@
 import 'dotenv/config';
+import { DEFAULT_LANGUAGE, t } from './i18n.js';
 
 export async function DiscordRequest(endpoint, options) {
   // append endpoint to root API URL
@@ -36,6 +37,68 @@ export async function InstallGlobalCommands(appId, commands) {
   }
 }
 
+export async function InstallGuildCommands(appId, guildId, commands) {
+  // API endpoint to overwrite a single guild's commands (applied instantly)
+  const endpoint = `applications/${appId}/guilds/${guildId}/commands`;
+
+  try {
+    await DiscordRequest(endpoint, { method: 'PUT', body: commands });
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+export async function EditOriginalResponse(interactionToken, data) {
+  // Interaction webhook endpoint for the original (possibly deferred) response
+  const endpoint = `webhooks/${process.env.APP_ID}/${interactionToken}/messages/@original`;
+
+  if (data.files) {
+    return DiscordFileRequest(endpoint, 'PATCH', data);
+  }
+  return DiscordRequest(endpoint, { method: 'PATCH', body: data });
+}
+
+export async function DeleteOriginalResponse(interactionToken) {
+  const endpoint = `webhooks/${process.env.APP_ID}/${interactionToken}/messages/@original`;
+  return DiscordRequest(endpoint, { method: 'DELETE' });
+}
+
+export async function SendFollowupMessage(interactionToken, data) {
+  // Follow-up messages can be ephemeral even if the original response isn't
+  const endpoint = `webhooks/${process.env.APP_ID}/${interactionToken}`;
+  return DiscordRequest(endpoint, { method: 'POST', body: data });
+}
+
+// Send message data with file attachments as multipart/form-data
+// files: [{ name, contents, contentType }]
+export async function DiscordFileRequest(endpoint, method, { files, ...data }) {
+  const form = new FormData();
+  form.append('payload_json', JSON.stringify({
+    ...data,
+    attachments: files.map((file, index) => ({ id: index, filename: file.name })),
+  }));
+  files.forEach((file, index) => {
+    const blob = new Blob([file.contents], { type: file.contentType || 'application/octet-stream' });
+    form.append(`files[${index}]`, blob, file.name);
+  });
+
+  // fetch sets the multipart Content-Type (with boundary) itself
+  const res = await fetch('https://discord.com/api/v10/' + endpoint, {
+    method,
+    headers: {
+      Authorization: `Bot ${process.env.DISCORD_TOKEN}`,
+      'User-Agent': 'DiscordBot (https://github.com/discord/discord-example-app, 1.0.0)',
+    },
+    body: form,
+  });
+  if (!res.ok) {
+    const body = await res.json();
+    console.log(res.status);
+    throw new Error(JSON.stringify(body));
+  }
+  return res;
+}
+
 // Simple method that returns a random emoji from list
 export function getRandomEmoji() {
   const emojiList = ['😭','😄','😌','🤓','😎','😤','🤖','😶‍🌫️','🌏','📸','💿','👋','🌊','✨'];
@@ -46,17 +109,51 @@ export function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// PUBG map code -> display name
+const MAP_NAMES = {
+  Baltic_Main: "Erangel",
+  Desert_Main: "Miramar",
+  DihorOtok_Main: "Vikendi",
+  Erangel_Main: "Erangel",
+  Savage_Main: "Sanhok",
+  Summerland_Main: "Karakin",
+  Taego_Main: "Taego",
+  Chimera_Main: "Paramo",
+  Neon_Main: "Rondo",
+};
+
 export function getMapDisplayName(mapCode) {
-  const mapNames = {
-    Baltic_Main: "Erangel",
-    Desert_Main: "Miramar",
-    DihorOtok_Main: "Vikendi",
-    Erangel_Main: "Erangel",
-    Savage_Main: "Sanhok",
-    Summerland_Main: "Karakin",
-    Taego_Main: "Taego",
-    Chimera_Main: "Paramo",
-    Neon_Main: "Rondo",
-  };
-  return mapNames[mapCode] || capitalize(mapCode.replace(/_/g, " "));
+  return MAP_NAMES[mapCode] || capitalize(mapCode.replace(/_/g, " "));
+}
+
+// Slash command choices for map options (values are display names, since
+// some maps have more than one map code)
+export function getMapChoices() {
+  const names = new Set(Object.values(MAP_NAMES));
+  return [...names].map((name) => ({ name, value: name }));
+}
+
+export function getSeasonDisplayName(seasonId, language = DEFAULT_LANGUAGE) {
+  // Season IDs look like division.bro.official.pc-2018-33
+  const match = seasonId.match(/-(\d+)$/);
+  return match
+    ? t(language, 'common.season', { number: Number(match[1]) })
+    : seasonId;
+}
+
+// Run an async function over items, a few at a time
+export async function mapInBatches(items, batchSize, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    results.push(...(await Promise.all(batch.map(fn))));
+  }
+  return results;
+}
+
+// Format a duration in seconds as "31m 05s"
+export function formatDuration(seconds) {
+  const total = Math.round(seconds || 0);
+  const minutes = Math.floor(total / 60);
+  return `${minutes}m ${String(total % 60).padStart(2, "0")}s`;
 }
@@ -0,0 +1,137 @@
+// i18n.js - Translated strings and locale-aware formatting
+import { getGuildSettings } from "./storage.js";
+import EN from "../config/locales/en.js";
+import VI from "../config/locales/vi.js";
+
+const DEFAULT_LANGUAGE = "en";
+
+// Supported languages
+// dateLocale is used for Intl formatting, discordLocale is the key Discord
+// expects in description_localizations (the default language has none).
+const LANGUAGES = {
+  en: { name: "English", strings: EN, dateLocale: "en-US" },
+  vi: {
+    name: "Tiếng Việt",
+    strings: VI,
+    dateLocale: "vi-VN",
+    discordLocale: "vi",
+  },
+};
+
+// Slash command choices for language options
+const LANGUAGE_CHOICES = Object.entries(LANGUAGES).map(([value, { name }]) => ({
+  name,
+  value,
+}));
+
+/**
+ * Check if a language is one the bot has strings for
+ * @param {string} language - Language code (e.g. "vi")
+ * @returns {boolean}
+ */
+function isValidLanguage(language) {
+  return Object.hasOwn(LANGUAGES, language);
+}
+
+/**
+ * Get display name for a language
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function getLanguageDisplayName(language) {
+  return LANGUAGES[language]?.name || language;
+}
+
+/**
+ * Map a Discord locale (e.g. "en-US", "vi") to a supported language
+ * @param {string} locale - Discord locale
+ * @returns {string|null} Null if the language isn't supported
+ */
+function resolveLanguage(locale) {
+  const [language] = (locale || "").split("-");
+  return isValidLanguage(language) ? language : null;
+}
+
+/**
+ * Pick the language to respond to an interaction in
+ * A server's language set with /admin language wins, then the member's
+ * Discord client language, then the server's community language.
+ * @param {object} req - Express request
+ * @returns {string} Language code
+ */
+function getLanguage(req) {
+  const { guild_id, locale, guild_locale } = req.body;
+  const override = guild_id ? getGuildSettings(guild_id).locale : null;
+
+  return (
+    (isValidLanguage(override) && override) ||
+    resolveLanguage(locale) ||
+    resolveLanguage(guild_locale) ||
+    DEFAULT_LANGUAGE
+  );
+}
+
+/**
+ * Get a translated string
+ * Falls back to English, then to the key itself.
+ * @param {string} language - Language code
+ * @param {string} key - String key (see config/locales/en.js)
+ * @param {object} params - Values for {placeholders}
+ * @returns {string}
+ */
+function t(language, key, params = {}) {
+  const template =
+    LANGUAGES[language]?.strings[key] ??
+    LANGUAGES[DEFAULT_LANGUAGE].strings[key] ??
+    key;
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(params, name) ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Format a date and time for match lists, e.g. "Mar 5, 08:30 PM"
+ * @param {string|Date} date
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatDate(date, language) {
+  return new Date(date).toLocaleString(
+    LANGUAGES[language]?.dateLocale || LANGUAGES[DEFAULT_LANGUAGE].dateLocale,
+    {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    }
+  );
+}
+
+/**
+ * Get a string in every non-default language, keyed by Discord locale
+ * Used for description_localizations when registering commands.
+ * @param {string} key - String key
+ * @returns {object|undefined} Undefined if no language translates the key
+ */
+function getLocalizations(key) {
+  const localizations = Object.fromEntries(
+    Object.values(LANGUAGES)
+      .filter(({ discordLocale, strings }) => discordLocale && strings[key])
+      .map(({ discordLocale, strings }) => [discordLocale, strings[key]])
+  );
+
+  return Object.keys(localizations).length > 0 ? localizations : undefined;
+}
+
+export {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_CHOICES,
+  isValidLanguage,
+  getLanguageDisplayName,
+  resolveLanguage,
+  getLanguage,
+  t,
+  formatDate,
+  getLocalizations,
+};
@@ -0,0 +1,188 @@
+// interaction.js - Helpers for responding to Discord interactions
+import {
+  InteractionResponseFlags,
+  InteractionResponseType,
+} from "discord-interactions";
+import {
+  DeleteOriginalResponse,
+  EditOriginalResponse,
+  SendFollowupMessage,
+} from "./helper.js";
+import { getLanguage, t } from "./i18n.js";
+import pubgApi from "../models/pubg-api.js";
+
+/**
+ * Respond with a deferred ("thinking...") response, then run slow work in
+ * the background and edit the original message with its result.
+ * Discord only waits 3 seconds for the initial response, but allows edits
+ * through the interaction webhook for 15 minutes.
+ * If PUBG API requests are queued behind the rate limit, the user is told
+ * they are waiting until the result is ready.
+ * For message components, `update` edits the message the component is
+ * attached to instead of posting a new one.
+ * Work can resolve to `{ ephemeral: true, ... }` (e.g. an error from
+ * buildErrorMessage) to only show the result to the caller; a public deferred
+ * response is then replaced by an ephemeral follow-up.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {() => Promise<object>} work - Resolves to message data ({ embeds, ... })
+ * @param {object} options
+ * @param {boolean} options.ephemeral - Only show the response to the caller
+ * @param {boolean} options.update - Update the component's message
+ * @param {string} options.errorTitle - Title of the failure embed
+ * @returns {Promise<void>}
+ */
+export async function deferResponse(
+  req,
+  res,
+  work,
+  { ephemeral = false, update = false, errorTitle } = {}
+) {
+  const { token } = req.body;
+  const language = getLanguage(req);
+
+  res.send(
+    update
+      ? { type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE }
+      : {
+          type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+          data: ephemeral ? { flags: InteractionResponseFlags.EPHEMERAL } : {},
+        }
+  );
+
+  // Updates skip the queue notice: it would replace the component's message,
+  // and the clicked component already shows a loading state
+  const { queueDepth, estimatedWaitMs } = pubgApi.getQueueStatus();
+  if (queueDepth > 0 && !update) {
+    try {
+      await EditOriginalResponse(token, {
+        embeds: [
+          {
+            title: t(language, "interaction.queued.title"),
+            description: t(language, "interaction.queued.description", {
+              count: queueDepth,
+              seconds: Math.ceil(estimatedWaitMs / 1000),
+            }),
+            color: 0xf39c12,
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      });
+    } catch (error) {
+      console.error("❌ Failed to post queue status:", error.message);
+    }
+  }
+
+  let message;
+  try {
+    message = await work();
+  } catch (error) {
+    console.error("❌ Deferred interaction failed:", error);
+    message = {
+      embeds: [
+        {
+          title: `❌ ${errorTitle || t(language, "interaction.failed.title")}`,
+          description: t(language, "interaction.failed.description"),
+          color: 0xe74c3c,
+          footer: {
+            text: t(language, "common.footer"),
+          },
+          timestamp: new Date().toISOString(),
+        },
+      ],
+      ephemeral: true,
+    };
+  }
+
+  const { ephemeral: ephemeralResult = false, ...data } = message;
+
+  try {
+    if (ephemeralResult && !ephemeral) {
+      // A deferred response can't be made ephemeral afterwards
+      if (!update) {
+        await DeleteOriginalResponse(token);
+      }
+      await SendFollowupMessage(token, {
+        ...data,
+        flags: InteractionResponseFlags.EPHEMERAL,
+      });
+    } else {
+      await EditOriginalResponse(token, data);
+    }
+  } catch (error) {
+    console.error("❌ Failed to edit deferred response:", error.message);
+  }
+}
+
+// Discord permission bits (https://discord.com/developers/docs/topics/permissions)
+export const PERMISSIONS = {
+  ADMINISTRATOR: 1n << 3n,
+  MANAGE_GUILD: 1n << 5n,
+};
+
+// String keys for the names shown to members who lack a permission
+const PERMISSION_NAMES = {
+  [PERMISSIONS.ADMINISTRATOR]: "permission.administrator",
+  [PERMISSIONS.MANAGE_GUILD]: "permission.manageGuild",
+};
+
+/**
+ * Get the display name of a permission
+ * @param {bigint} permission - One of PERMISSIONS
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export function getPermissionDisplayName(permission, language) {
+  return t(language, PERMISSION_NAMES[permission]);
+}
+
+/**
+ * Check the invoking member's permissions in the channel
+ * Administrators implicitly have every permission.
+ * @param {object} req - Express request
+ * @param {bigint} permission - One of PERMISSIONS
+ * @returns {boolean} False outside of guilds
+ */
+export function hasPermission(req, permission) {
+  const permissions = req.body.member?.permissions;
+  if (!permissions) {
+    return false;
+  }
+
+  const granted = BigInt(permissions);
+  return (
+    (granted & PERMISSIONS.ADMINISTRATOR) === PERMISSIONS.ADMINISTRATOR ||
+    (granted & permission) === permission
+  );
+}
+
+/**
+ * Respond with an ephemeral notice that the member lacks a permission
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {bigint} permission - One of PERMISSIONS
+ * @returns {void}
+ */
+export function sendMissingPermission(req, res, permission) {
+  const language = getLanguage(req);
+  return res.send({
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      embeds: [
+        {
+          title: t(language, "interaction.missingPermission.title"),
+          description: t(
+            language,
+            "interaction.missingPermission.description",
+            {
+              permission: getPermissionDisplayName(permission, language),
+            }
+          ),
+          color: 0xe74c3c,
+          timestamp: new Date().toISOString(),
+        },
+      ],
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  });
+}
@@ -0,0 +1,202 @@
+// stats.js - Helpers for PUBG game mode statistics
+
+// Game modes returned in gameModeStats, in display order
+export const GAME_MODES = [
+  "solo",
+  "solo-fpp",
+  "duo",
+  "duo-fpp",
+  "squad",
+  "squad-fpp",
+];
+
+// Slash command choices for game mode options
+export const GAME_MODE_CHOICES = GAME_MODES.map((mode) => ({
+  name: getGameModeDisplayName(mode),
+  value: mode,
+}));
+
+/**
+ * Get display name for a game mode (e.g. "squad-fpp" -> "Squad FPP")
+ * @param {string} gameMode - PUBG game mode
+ * @returns {string}
+ */
+export function getGameModeDisplayName(gameMode) {
+  const [type, perspective] = gameMode.split("-");
+  const name = type.charAt(0).toUpperCase() + type.slice(1);
+  return `${name} ${perspective ? perspective.toUpperCase() : "TPP"}`;
+}
+
+/**
+ * Divide without producing NaN/Infinity
+ * @param {number} value
+ * @param {number} divisor
+ * @returns {number}
+ */
+export function safeRatio(value, divisor) {
+  return divisor > 0 ? value / divisor : 0;
+}
+
+/**
+ * Summarize a single gameModeStats entry with derived ratios
+ * @param {object} stats - Raw gameModeStats entry from PUBG API
+ * @returns {{roundsPlayed: number, wins: number, top10s: number, kills: number, damageDealt: number, kd: number, avgDamage: number, headshotRate: number, winRate: number}}
+ */
+export function summarizeGameModeStats(stats = {}) {
+  const roundsPlayed = stats.roundsPlayed || 0;
+  const wins = stats.wins || 0;
+  const kills = stats.kills || 0;
+  const damageDealt = stats.damageDealt || 0;
+  // PUBG reports losses separately; fall back to rounds without a win
+  const losses = stats.losses ?? roundsPlayed - wins;
+
+  return {
+    roundsPlayed,
+    wins,
+    top10s: stats.top10s || 0,
+    kills,
+    damageDealt,
+    kd: losses > 0 ? kills / losses : kills,
+    avgDamage: safeRatio(damageDealt, roundsPlayed),
+    headshotRate: safeRatio(stats.headshotKills || 0, kills),
+    winRate: safeRatio(wins, roundsPlayed),
+  };
+}
+
+/**
+ * Sum the counters of several gameModeStats entries into one entry
+ * @param {object} gameModeStats - gameModeStats object keyed by game mode
+ * @param {string[]} modes - Game modes to include (default: all)
+ * @returns {object} Combined raw stats entry
+ */
+export function aggregateGameModeStats(gameModeStats, modes = GAME_MODES) {
+  const fields = [
+    "roundsPlayed",
+    "wins",
+    "losses",
+    "top10s",
+    "kills",
+    "headshotKills",
+    "damageDealt",
+  ];
+
+  return modes.reduce((total, mode) => {
+    const stats = gameModeStats[mode] || {};
+    fields.forEach((field) => {
+      total[field] = (total[field] || 0) + (stats[field] || 0);
+    });
+    return total;
+  }, {});
+}
+
+/**
+ * Summarize per-match stats (from PubgApi.getRecentMatchesStats)
+ * @param {Array<object>} matches - Per-match player stats
+ * @returns {{matches: number, kills: number, damageDealt: number, wins: number, deaths: number, kd: number, avgDamage: number, avgPlacement: number|null}}
+ */
+export function summarizeRecentMatches(matches) {
+  const kills = matches.reduce((sum, match) => sum + match.kills, 0);
+  const damageDealt = matches.reduce(
+    (sum, match) => sum + match.damageDealt,
+    0
+  );
+  const wins = matches.filter((match) => match.teamWon).length;
+  const deaths = matches.filter(
+    (match) => match.deathType && match.deathType !== "alive"
+  ).length;
+  const ranked = matches.filter((match) => match.teamRank);
+
+  return {
+    matches: matches.length,
+    kills,
+    damageDealt,
+    wins,
+    deaths,
+    kd: deaths > 0 ? kills / deaths : kills,
+    avgDamage: safeRatio(damageDealt, matches.length),
+    avgPlacement:
+      ranked.length > 0
+        ? ranked.reduce((sum, match) => sum + match.teamRank, 0) / ranked.length
+        : null,
+  };
+}
+
+/**
+ * Format a 0..1 ratio as a percentage string
+ * @param {number} ratio
+ * @returns {string}
+ */
+export function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+// Ranked tier emojis
+const TIER_EMOJIS = {
+  Bronze: "🟫",
+  Silver: "⚪",
+  Gold: "🟡",
+  Platinum: "🔷",
+  Crystal: "💠",
+  Diamond: "💎",
+  Master: "👑",
+  Survivor: "🏆",
+};
+
+/**
+ * Format a ranked tier (e.g. {tier: "Gold", subTier: "2"} -> "🟡 Gold 2")
+ * @param {{tier: string, subTier: string}} rankedTier
+ * @returns {string}
+ */
+export function formatTier(rankedTier) {
+  const emoji = TIER_EMOJIS[rankedTier.tier] || "❔";
+  // Master and above have no sub tiers
+  const subTier =
+    rankedTier.subTier && !["Master", "Survivor"].includes(rankedTier.tier)
+      ? ` ${rankedTier.subTier}`
+      : "";
+  return `${emoji} ${rankedTier.tier}${subTier}`;
+}
+
+/**
+ * Build the team scoreboard of a match (from PubgApi.getMatchDetails)
+ * @param {object} match - Match details with `included` participants/rosters
+ * @returns {Array<{rosterId: string, rank: number|null, won: boolean, kills: number, damageDealt: number, DBNOs: number, members: Array<object>}>} Rosters sorted by rank
+ */
+export function getMatchRosters(match) {
+  const participants = new Map(
+    match.included
+      .filter((item) => item.type === "participant")
+      .map((item) => [item.id, item.attributes.stats])
+  );
+
+  return match.included
+    .filter((item) => item.type === "roster")
+    .map((roster) => {
+      const members = roster.relationships.participants.data
+        .map(({ id }) => participants.get(id))
+        .filter(Boolean)
+        .map((stats) => ({
+          playerId: stats.playerId,
+          name: stats.name,
+          kills: stats.kills || 0,
+          damageDealt: stats.damageDealt || 0,
+          DBNOs: stats.DBNOs || 0,
+          timeSurvived: stats.timeSurvived || 0,
+        }))
+        .sort((a, b) => b.kills - a.kills || b.damageDealt - a.damageDealt);
+
+      return {
+        rosterId: roster.id,
+        rank: roster.attributes?.stats?.rank || null,
+        won: roster.attributes?.won === "true",
+        kills: members.reduce((sum, member) => sum + member.kills, 0),
+        damageDealt: members.reduce(
+          (sum, member) => sum + member.damageDealt,
+          0
+        ),
+        DBNOs: members.reduce((sum, member) => sum + member.DBNOs, 0),
+        members,
+      };
+    })
+    .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+}
@@ -0,0 +1,209 @@
+// json.js - JSON file storage backend
+// The whole database is kept in one file and rewritten atomically:
+//   { "schemaVersion": 2, "users": { "<discord user id>": { ... } },
+//     "guilds": { "<guild id>": { ... } } }
+// Files without a schemaVersion are the legacy flat format (version 1)
+import fs from "fs";
+import path from "path";
+
+/**
+ * Write a file atomically: write a temp file, flush it to disk, then rename
+ * it over the target so a crash never leaves a half-written file behind
+ * @param {string} filePath - Target file
+ * @param {string} contents - File contents
+ */
+async function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tmpPath, "w");
+
+  try {
+    await handle.writeFile(contents, "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * JSON file backend
+ * Writes are serialized and coalesced: while a write is in progress, further
+ * changes only replace the pending snapshot, which is written next.
+ */
+export class JsonBackend {
+  /**
+   * @param {string} filePath - Path of the JSON database file
+   */
+  constructor(filePath) {
+    this.name = "json";
+    this.filePath = filePath;
+    this.schemaVersion = null;
+    this.records = {};
+    this.guilds = {};
+    this.pendingSnapshot = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load all records
+   * @returns {{schemaVersion: number|null, records: object, guilds: object}}
+   *   Records keyed by Discord user ID and guild settings keyed by guild ID;
+   *   schemaVersion is null for a new, empty database
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) {
+      return {
+        schemaVersion: null,
+        records: this.records,
+        guilds: this.guilds,
+      };
+    }
+
+    const raw = fs.readFileSync(this.filePath, "utf8");
+    try {
+      const data = JSON.parse(raw);
+
+      if (Number.isInteger(data.schemaVersion)) {
+        this.schemaVersion = data.schemaVersion;
+        this.records = data.users || {};
+        this.guilds = data.guilds || {};
+      } else {
+        this.schemaVersion = 1;
+        this.records = data;
+      }
+
+      return {
+        schemaVersion: this.schemaVersion,
+        records: this.records,
+        guilds: this.guilds,
+      };
+    } catch (error) {
+      // Keep the unreadable file for manual recovery instead of overwriting it
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+      console.error(
+        `❌ Error reading database (${error.message}), moved it to ${corruptPath}`
+      );
+      return {
+        schemaVersion: null,
+        records: this.records,
+        guilds: this.guilds,
+      };
+    }
+  }
+
+  /**
+   * Persist a created/updated record
+   * @param {string} key - Discord user ID
+   * @param {object} record - Stored record
+   * @param {object} db - All records
+   */
+  put(key, record, db) {
+    this.records = db;
+    this._scheduleWrite();
+  }
+
+  /**
+   * Persist a deleted record
+   * @param {string} key - Discord user ID
+   * @param {object} db - All records
+   */
+  remove(key, db) {
+    this.records = db;
+    this._scheduleWrite();
+  }
+
+  /**
+   * Replace all records (after a migration)
+   * @param {object} db - All records
+   */
+  replaceAll(db) {
+    this.records = db;
+    this._scheduleWrite();
+  }
+
+  /**
+   * Persist created/updated guild settings
+   * @param {string} guildId - Discord guild ID
+   * @param {object} settings - Stored guild settings
+   * @param {object} guilds - All guild settings
+   */
+  putGuild(guildId, settings, guilds) {
+    this.guilds = guilds;
+    this._scheduleWrite();
+  }
+
+  /**
+   * Record the schema version, written with the next save
+   * @param {number} version
+   */
+  setSchemaVersion(version) {
+    this.schemaVersion = version;
+  }
+
+  /**
+   * Copy the current database file aside
+   * @param {string} label - Added to the backup file name
+   * @returns {Promise<string|null>} Backup path, or null if there was no file
+   */
+  async backup(label) {
+    await this.flush();
+
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    const backupPath = `${this.filePath}.${label}.backup`;
+    await fs.promises.copyFile(this.filePath, backupPath);
+    return backupPath;
+  }
+
+  /**
+   * Wait for pending writes to finish
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeChain;
+  }
+
+  /**
+   * Human readable location of the data
+   * @returns {string}
+   */
+  describe() {
+    return this.filePath;
+  }
+
+  _scheduleWrite() {
+    const alreadyQueued = this.pendingSnapshot !== null;
+
+    // Snapshot now so later in-memory changes don't leak into this write
+    this.pendingSnapshot = JSON.stringify(
+      {
+        schemaVersion: this.schemaVersion,
+        users: this.records,
+        guilds: this.guilds,
+      },
+      null,
+      2
+    );
+    if (alreadyQueued) {
+      return;
+    }
+
+    this.writeChain = this.writeChain.then(async () => {
+      const snapshot = this.pendingSnapshot;
+      this.pendingSnapshot = null;
+
+      try {
+        await writeFileAtomic(this.filePath, snapshot);
+        console.log("💾 Database saved to:", this.filePath);
+      } catch (error) {
+        console.error("❌ Error writing database:", error.message);
+      }
+    });
+  }
+}
@@ -0,0 +1,150 @@
+// sqlite.js - Embedded SQLite storage backend (requires better-sqlite3)
+// Each record is stored as a JSON document keyed by Discord user ID, guild
+// settings keyed by guild ID; the schema version lives in the meta table
+import fs from "fs";
+import path from "path";
+
+export class SqliteBackend {
+  /**
+   * @param {string} filePath - Path of the SQLite database file
+   * @param {Function} Database - better-sqlite3 Database constructor
+   */
+  constructor(filePath, Database) {
+    this.name = "sqlite";
+    this.filePath = filePath;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    // WAL lets reads continue while a write is in progress
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS users (discord_user_id TEXT PRIMARY KEY, data TEXT NOT NULL)"
+    );
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS guilds (guild_id TEXT PRIMARY KEY, data TEXT NOT NULL)"
+    );
+    this.db.exec(
+      "CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)"
+    );
+
+    this.upsertStatement = this.db.prepare(
+      "INSERT INTO users (discord_user_id, data) VALUES (?, ?) ON CONFLICT(discord_user_id) DO UPDATE SET data = excluded.data"
+    );
+    this.deleteStatement = this.db.prepare(
+      "DELETE FROM users WHERE discord_user_id = ?"
+    );
+    this.upsertGuildStatement = this.db.prepare(
+      "INSERT INTO guilds (guild_id, data) VALUES (?, ?) ON CONFLICT(guild_id) DO UPDATE SET data = excluded.data"
+    );
+  }
+
+  /**
+   * Load all records
+   * @returns {{schemaVersion: number|null, records: object, guilds: object}}
+   *   Records keyed by Discord user ID and guild settings keyed by guild ID;
+   *   schemaVersion is null for a new, empty database
+   */
+  load() {
+    const rows = this.db
+      .prepare("SELECT discord_user_id, data FROM users")
+      .all();
+    const guildRows = this.db
+      .prepare("SELECT guild_id, data FROM guilds")
+      .all();
+    const versionRow = this.db
+      .prepare("SELECT value FROM meta WHERE key = 'schemaVersion'")
+      .get();
+
+    // Databases created before versioning have users but no version row
+    let schemaVersion = versionRow ? Number(versionRow.value) : null;
+    if (schemaVersion === null && rows.length > 0) {
+      schemaVersion = 1;
+    }
+
+    return {
+      schemaVersion,
+      records: Object.fromEntries(
+        rows.map((row) => [row.discord_user_id, JSON.parse(row.data)])
+      ),
+      guilds: Object.fromEntries(
+        guildRows.map((row) => [row.guild_id, JSON.parse(row.data)])
+      ),
+    };
+  }
+
+  /**
+   * Persist a created/updated record
+   * @param {string} key - Discord user ID
+   * @param {object} record - Stored record
+   */
+  put(key, record) {
+    this.upsertStatement.run(key, JSON.stringify(record));
+  }
+
+  /**
+   * Persist a deleted record
+   * @param {string} key - Discord user ID
+   */
+  remove(key) {
+    this.deleteStatement.run(key);
+  }
+
+  /**
+   * Replace all records (after a migration)
+   * @param {object} db - All records
+   */
+  replaceAll(db) {
+    this.db.transaction(() => {
+      this.db.exec("DELETE FROM users");
+      Object.entries(db).forEach(([key, record]) => this.put(key, record));
+    })();
+  }
+
+  /**
+   * Persist created/updated guild settings
+   * @param {string} guildId - Discord guild ID
+   * @param {object} settings - Stored guild settings
+   */
+  putGuild(guildId, settings) {
+    this.upsertGuildStatement.run(guildId, JSON.stringify(settings));
+  }
+
+  /**
+   * Record the schema version
+   * @param {number} version
+   */
+  setSchemaVersion(version) {
+    this.db
+      .prepare(
+        "INSERT INTO meta (key, value) VALUES ('schemaVersion', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+      )
+      .run(String(version));
+  }
+
+  /**
+   * Copy the current database aside using SQLite's online backup
+   * @param {string} label - Added to the backup file name
+   * @returns {Promise<string>} Backup path
+   */
+  async backup(label) {
+    const backupPath = `${this.filePath}.${label}.backup`;
+    await this.db.backup(backupPath);
+    return backupPath;
+  }
+
+  /**
+   * SQLite writes are synchronous, nothing to wait for
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Human readable location of the data
+   * @returns {string}
+   */
+  describe() {
+    return this.filePath;
+  }
+}
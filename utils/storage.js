@@ -1,61 +1,267 @@
-// storage.js - File-based storage for Discord ID -> PUBG Player data mapping
-// Data is persisted to a JSON file for easy tracking and persistence
-import fs from "fs";
+// storage.js - Storage for Discord ID -> PUBG Player data mapping and
+// per-guild settings
+// Records are cached in memory and persisted through a pluggable backend:
+//   STORAGE_BACKEND=json   (default) data/users.json, atomic write-then-rename
+//   STORAGE_BACKEND=sqlite data/users.db, requires the better-sqlite3 package
 import path from "path";
+import { DEFAULT_SHARD } from "../config/platforms.js";
+import { JsonBackend } from "./storage-backends/json.js";
+import { SqliteBackend } from "./storage-backends/sqlite.js";
+import pubgApi from "../models/pubg-api.js";
 
 const DATA_DIR = path.resolve("./data");
 const DB_FILE = path.join(DATA_DIR, "users.json");
+const SQLITE_FILE = process.env.STORAGE_SQLITE_FILE
+  ? path.resolve(process.env.STORAGE_SQLITE_FILE)
+  : path.join(DATA_DIR, "users.db");
 
-// Ensure data directory exists
-function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-    console.log("📁 Created data directory:", DATA_DIR);
+// Create the configured storage backend
+async function createBackend(type = "json") {
+  if (type === "sqlite") {
+    const { default: Database } = await import("better-sqlite3");
+    return new SqliteBackend(SQLITE_FILE, Database);
   }
+
+  if (type !== "json") {
+    console.warn(`⚠️ Unknown STORAGE_BACKEND "${type}", using json`);
+  }
+  return new JsonBackend(DB_FILE);
 }
 
-// Read database from file
+const backend = await createBackend(process.env.STORAGE_BACKEND);
+
+// Players per backfill request (max IDs per filter[playerIds] request), so
+// a failed request only leaves its own players incomplete
+const BACKFILL_BATCH_SIZE = 10;
+
+/**
+ * Schema migrations, applied in order to records older than `version`.
+ * Each migration receives all records and returns the upgraded records.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: "Add platform shard (default steam)",
+    migrate: async (records) =>
+      Object.fromEntries(
+        Object.entries(records).map(([userId, record]) => [
+          userId,
+          { ...record, shard: record.shard || DEFAULT_SHARD },
+        ])
+      ),
+  },
+  {
+    version: 3,
+    description: "Backfill missing player names and clan IDs from PUBG API",
+    migrate: async (records) => {
+      const migrated = Object.fromEntries(
+        Object.entries(records).map(([userId, record]) => [
+          userId,
+          { ...record, clanId: record.clanId ?? null },
+        ])
+      );
+
+      // Records saved by the legacy savePlayerId have no name or clan
+      const byShard = {};
+      Object.entries(records)
+        .filter(
+          ([, record]) =>
+            record.playerId &&
+            (!record.playerName || record.clanId === undefined)
+        )
+        .forEach((entry) => {
+          (byShard[entry[1].shard] ||= []).push(entry);
+        });
+
+      for (const [shard, entries] of Object.entries(byShard)) {
+        for (let i = 0; i < entries.length; i += BACKFILL_BATCH_SIZE) {
+          const batch = entries.slice(i, i + BACKFILL_BATCH_SIZE);
+          const players = await pubgApi.getPlayersByIds(
+            batch.map(([, record]) => record.playerId),
+            shard
+          );
+
+          // Left incomplete for the player refresher to fill in
+          if (players.error) {
+            console.warn(
+              `⚠️ Could not backfill ${batch.length} players on ${shard}: ${players.error}`
+            );
+            continue;
+          }
+
+          const playersById = Object.fromEntries(
+            players.map((player) => [player.id, player])
+          );
+          for (const [userId, record] of batch) {
+            const player = playersById[record.playerId];
+            if (!player) {
+              continue;
+            }
+
+            migrated[userId] = {
+              ...migrated[userId],
+              playerName: record.playerName || player.name,
+              clanId: record.clanId ?? player.clanId,
+              updatedAt: new Date().toISOString(),
+            };
+          }
+        }
+      }
+
+      return migrated;
+    },
+  },
+  {
+    version: 4,
+    description: "Track guild memberships per registration",
+    migrate: async (records) =>
+      Object.fromEntries(
+        Object.entries(records).map(([userId, record]) => [
+          userId,
+          { ...record, guildIds: record.guildIds || [] },
+        ])
+      ),
+  },
+  {
+    version: 5,
+    description: "Remember the last seen match per registration",
+    migrate: async (records) =>
+      Object.fromEntries(
+        Object.entries(records).map(([userId, record]) => [
+          userId,
+          { ...record, lastMatchId: record.lastMatchId ?? null },
+        ])
+      ),
+  },
+  {
+    version: 6,
+    description: "Keep a history of PUBG name changes",
+    migrate: async (records) =>
+      Object.fromEntries(
+        Object.entries(records).map(([userId, record]) => [
+          userId,
+          { ...record, nameHistory: record.nameHistory || [] },
+        ])
+      ),
+  },
+  {
+    version: 7,
+    description: "Remember guilds a member was unlinked from",
+    migrate: async (records) =>
+      Object.fromEntries(
+        Object.entries(records).map(([userId, record]) => [
+          userId,
+          { ...record, unlinkedGuildIds: record.unlinkedGuildIds || [] },
+        ])
+      ),
+  },
+];
+
+// Previous names kept per registration, oldest are dropped first
+const MAX_NAME_HISTORY = 10;
+
+// Settings of a guild that has not configured anything yet
+const DEFAULT_GUILD_SETTINGS = {
+  trackChannelId: null, // Channel new matches are announced in
+  trackedUserIds: [], // Members whose matches are announced
+  locale: null, // Language set with /admin language (null = member's own)
+};
+
+// Current schema version written by this code
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// In-memory copy of all records, loaded on first access
+let cache = null;
+let guildCache = null;
+let schemaVersion = null;
+
+// Read database (from memory after the first load)
 function readDB() {
-  ensureDataDir();
-  try {
-    if (fs.existsSync(DB_FILE)) {
-      const raw = fs.readFileSync(DB_FILE, "utf8");
-      return JSON.parse(raw);
+  if (!cache) {
+    const loaded = backend.load();
+    cache = loaded.records;
+    guildCache = loaded.guilds;
+    schemaVersion = loaded.schemaVersion;
+
+    // A brand new database starts at the current schema
+    if (schemaVersion === null) {
+      schemaVersion = SCHEMA_VERSION;
+      backend.setSchemaVersion(SCHEMA_VERSION);
     }
-  } catch (error) {
-    console.error("❌ Error reading database:", error.message);
+
+    console.log(
+      `📁 Loaded ${Object.keys(cache).length} users from ${
+        backend.name
+      } storage:`,
+      backend.describe()
+    );
   }
-  return {};
+  return cache;
+}
+
+// Fill in defaults for records written before a field existed
+function normalizeRecord(record) {
+  return {
+    ...record,
+    shard: record.shard || DEFAULT_SHARD,
+    guildIds: record.guildIds || [],
+    lastMatchId: record.lastMatchId ?? null,
+    nameHistory: record.nameHistory || [],
+    unlinkedGuildIds: record.unlinkedGuildIds || [],
+  };
 }
 
-// Write database to file
-function writeDB(data) {
-  ensureDataDir();
-  try {
-    fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2), "utf8");
-    console.log("💾 Database saved to:", DB_FILE);
-  } catch (error) {
-    console.error("❌ Error writing database:", error.message);
+// Previous names of a record, plus its current name if it is being renamed
+function addNameHistory(record, playerName) {
+  const history = record.nameHistory || [];
+  if (!record.playerName || !playerName || record.playerName === playerName) {
+    return history;
   }
+
+  return [
+    ...history,
+    { name: record.playerName, changedAt: new Date().toISOString() },
+  ].slice(-MAX_NAME_HISTORY);
 }
 
 /**
  * Save Discord User ID -> PUBG Player data mapping
  * @param {string} discordUserId - Discord user ID
- * @param {object} playerData - Player data { playerId, playerName, clanId (optional) }
+ * @param {object} playerData - Player data { playerId, playerName, shard, clanId (optional) }
+ * @param {string} guildId - Guild the registration was made in (optional),
+ *   also undoing an unlink from that guild
  */
-export function savePlayerData(discordUserId, playerData) {
+export function savePlayerData(discordUserId, playerData, guildId = null) {
   const db = readDB();
+  const existing = db[discordUserId];
+  const guildIds = new Set(existing?.guildIds || []);
+  if (guildId) {
+    guildIds.add(guildId);
+  }
 
   db[discordUserId] = {
     playerId: playerData.playerId,
     playerName: playerData.playerName,
+    shard: playerData.shard || DEFAULT_SHARD,
     clanId: playerData.clanId || null,
-    savedAt: db[discordUserId]?.savedAt || new Date().toISOString(),
+    guildIds: [...guildIds],
+    unlinkedGuildIds: (existing?.unlinkedGuildIds || []).filter(
+      (id) => id !== guildId
+    ),
+    // A different PUBG account starts without a last seen match
+    lastMatchId:
+      existing?.playerId === playerData.playerId
+        ? existing.lastMatchId ?? null
+        : null,
+    nameHistory:
+      existing?.playerId === playerData.playerId
+        ? addNameHistory(existing, playerData.playerName)
+        : [],
+    savedAt: existing?.savedAt || new Date().toISOString(),
     updatedAt: new Date().toISOString(),
   };
 
-  writeDB(db);
+  backend.put(discordUserId, db[discordUserId], db);
   console.log(
     `✅ Saved mapping: ${discordUserId} -> ${playerData.playerName} (${playerData.playerId})`
   );
@@ -68,7 +274,53 @@ export function savePlayerData(discordUserId, playerData) {
  */
 export function getPlayerData(discordUserId) {
   const db = readDB();
-  return db[discordUserId] || null;
+  return db[discordUserId] ? normalizeRecord(db[discordUserId]) : null;
+}
+
+/**
+ * Update a registration's PUBG name and clan after re-fetching the player
+ * Renames are added to the record's nameHistory. Nothing is written if
+ * both are unchanged.
+ * @param {string} discordUserId - Discord user ID
+ * @param {{playerName: string, clanId: string|null}} profile - Current values
+ * @returns {{renamedFrom: string|null, clanIdBefore: string|null, changed: boolean}|null}
+ *   Previous values, or null if the user is not registered
+ */
+export function updatePlayerProfile(discordUserId, { playerName, clanId }) {
+  const db = readDB();
+  const record = db[discordUserId];
+
+  if (!record) {
+    return null;
+  }
+
+  const renamed = !!playerName && record.playerName !== playerName;
+  const clanChanged = (record.clanId || null) !== (clanId || null);
+  const result = {
+    renamedFrom: renamed ? record.playerName : null,
+    clanIdBefore: record.clanId || null,
+    changed: renamed || clanChanged,
+  };
+
+  if (!result.changed) {
+    return result;
+  }
+
+  db[discordUserId] = {
+    ...record,
+    playerName: renamed ? playerName : record.playerName,
+    clanId: clanId || null,
+    nameHistory: addNameHistory(record, playerName),
+    updatedAt: new Date().toISOString(),
+  };
+  backend.put(discordUserId, db[discordUserId], db);
+
+  if (renamed) {
+    console.log(
+      `✏️ ${discordUserId} renamed: ${record.playerName} -> ${playerName}`
+    );
+  }
+  return result;
 }
 
 /**
@@ -81,7 +333,7 @@ export function deletePlayerData(discordUserId) {
 
   if (db[discordUserId]) {
     delete db[discordUserId];
-    writeDB(db);
+    backend.remove(discordUserId, db);
     console.log(`🗑️ Deleted mapping for: ${discordUserId}`);
     return true;
   }
@@ -94,15 +346,150 @@ export function deletePlayerData(discordUserId) {
  * @returns {object} All user mappings
  */
 export function getAllPlayerData() {
-  return readDB();
+  const db = readDB();
+  return Object.fromEntries(
+    Object.entries(db).map(([userId, record]) => [
+      userId,
+      normalizeRecord(record),
+    ])
+  );
+}
+
+/**
+ * Get registered users who are members of a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {object} User mappings of the guild's members
+ */
+export function getGuildPlayerData(guildId) {
+  return Object.fromEntries(
+    Object.entries(getAllPlayerData()).filter(([, record]) =>
+      record.guildIds.includes(guildId)
+    )
+  );
+}
+
+/**
+ * Link a registered user to a guild, so their PUBG account registered in one
+ * guild also counts in every other guild they use the bot in. Guilds the
+ * user was unlinked from are skipped until they register there again.
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if the user was newly added to the guild
+ */
+export function addGuildMember(discordUserId, guildId) {
+  const db = readDB();
+  const record = db[discordUserId];
+
+  if (
+    !record ||
+    !guildId ||
+    record.guildIds?.includes(guildId) ||
+    record.unlinkedGuildIds?.includes(guildId)
+  ) {
+    return false;
+  }
+
+  record.guildIds = [...(record.guildIds || []), guildId];
+  backend.put(discordUserId, record, db);
+  console.log(`🏠 Linked ${discordUserId} to guild ${guildId}`);
+  return true;
+}
+
+/**
+ * Unlink a user from a guild without deleting their registration
+ * The unlink is remembered, so using the bot in the guild doesn't link the
+ * user again; registering there does.
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} guildId - Discord guild ID
+ * @returns {boolean} True if the user was a member of the guild
+ */
+export function removeGuildMember(discordUserId, guildId) {
+  const db = readDB();
+  const record = db[discordUserId];
+
+  if (!record?.guildIds?.includes(guildId)) {
+    return false;
+  }
+
+  record.guildIds = record.guildIds.filter((id) => id !== guildId);
+  record.unlinkedGuildIds = [...(record.unlinkedGuildIds || []), guildId];
+  backend.put(discordUserId, record, db);
+  console.log(`🏠 Unlinked ${discordUserId} from guild ${guildId}`);
+  return true;
+}
+
+/**
+ * Remember the newest match seen for a user (used by the match tracker)
+ * @param {string} discordUserId - Discord user ID
+ * @param {string} matchId - PUBG match ID
+ * @returns {boolean} True if the user is registered
+ */
+export function setLastMatchId(discordUserId, matchId) {
+  const db = readDB();
+  const record = db[discordUserId];
+
+  if (!record) {
+    return false;
+  }
+
+  record.lastMatchId = matchId;
+  backend.put(discordUserId, record, db);
+  return true;
+}
+
+/**
+ * Get a guild's settings
+ * @param {string} guildId - Discord guild ID
+ * @returns {object} Settings, with defaults for anything not configured
+ */
+export function getGuildSettings(guildId) {
+  readDB();
+  return structuredClone({
+    ...DEFAULT_GUILD_SETTINGS,
+    ...(guildCache[guildId] || {}),
+  });
+}
+
+/**
+ * Update some of a guild's settings
+ * @param {string} guildId - Discord guild ID
+ * @param {object} changes - Settings to change
+ * @returns {object} Updated settings
+ */
+export function updateGuildSettings(guildId, changes) {
+  readDB();
+  guildCache[guildId] = {
+    ...getGuildSettings(guildId),
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+
+  backend.putGuild(guildId, guildCache[guildId], guildCache);
+  console.log(`⚙️ Updated settings for guild ${guildId}`);
+  return getGuildSettings(guildId);
+}
+
+/**
+ * Get the settings of every guild that has configured something
+ * @returns {object} Settings keyed by guild ID
+ */
+export function getAllGuildSettings() {
+  readDB();
+  return Object.fromEntries(
+    Object.keys(guildCache).map((guildId) => [
+      guildId,
+      getGuildSettings(guildId),
+    ])
+  );
 }
 
 /**
  * Get statistics about stored data
+ * @param {string} guildId - Only count members of this guild (optional)
  * @returns {object} Stats
  */
-export function getStats() {
-  const db = readDB();
+export function getStats(guildId = null) {
+  const db = guildId ? getGuildPlayerData(guildId) : readDB();
   const users = Object.keys(db);
   const usersWithClans = users.filter((userId) => db[userId].clanId).length;
 
@@ -110,15 +497,65 @@ export function getStats() {
     totalUsers: users.length,
     usersWithClans: usersWithClans,
     usersWithoutClans: users.length - usersWithClans,
-    dbFilePath: DB_FILE,
+    backend: backend.name,
+    schemaVersion: schemaVersion,
+    dbFilePath: backend.describe(),
   };
 }
 
+/**
+ * Upgrade stored records to the current schema version.
+ * Must run on startup before the bot handles interactions. The previous
+ * database is backed up first, and nothing is written if a migration
+ * throws. The v3 backfill fetches players 10 per request; players in a
+ * failed request keep their missing name and clan until the player
+ * refresher's first run after startup.
+ * @returns {Promise<{from: number, to: number, backupPath: string|null}>}
+ */
+export async function runMigrations() {
+  readDB();
+  const from = schemaVersion;
+
+  if (from >= SCHEMA_VERSION) {
+    console.log(`✅ Storage schema is up to date (v${from})`);
+    return { from, to: from, backupPath: null };
+  }
+
+  const backupPath = await backend.backup(`v${from}-${Date.now()}`);
+  console.log(`📦 Backed up storage (v${from}) to:`, backupPath);
+
+  let records = structuredClone(cache);
+  for (const migration of MIGRATIONS.filter((m) => m.version > from)) {
+    console.log(
+      `🔧 Migrating storage to v${migration.version}: ${migration.description}`
+    );
+    records = await migration.migrate(records);
+  }
+
+  cache = records;
+  schemaVersion = SCHEMA_VERSION;
+  backend.setSchemaVersion(SCHEMA_VERSION);
+  backend.replaceAll(cache);
+  await backend.flush();
+
+  console.log(`✅ Storage migrated from v${from} to v${SCHEMA_VERSION}`);
+  return { from, to: SCHEMA_VERSION, backupPath };
+}
+
+/**
+ * Wait for pending writes to reach disk (call before shutting down)
+ * @returns {Promise<void>}
+ */
+export function flushStorage() {
+  return backend.flush();
+}
+
 // Backward compatibility
 export function savePlayerId(discordUserId, pubgPlayerId) {
   savePlayerData(discordUserId, {
     playerId: pubgPlayerId,
     playerName: null,
+    shard: DEFAULT_SHARD,
     clanId: null,
   });
 }